@@ -1,16 +1,88 @@
 /* Full functionality:
    - Codex categories mapped to entries/<category>/manifest.json
-   - GM Mode toggled with G (hidden), unlocks persist via localStorage
+       * Prefers the compiled entries/codex.bundle.json (tools/build-bundle.js)
+       * Falls back to the manifests when no bundle exists, fetching in parallel
+   - GM Mode:
+       * Unlocked with a passphrase checked against a salted PBKDF2 hash in config.json
+       * Configurable hotkey (ignored while typing), lock button, auto-lock on idle
+       * Unlocks persist via localStorage
+       * Bulk Add / Remove from list checkboxes, "with Related" and data-defined
+         `revealGroups` reveal many entries in one step
+       * Reveals GM Tool: reveal groups plus an unlock history where any step can be undone
    - Destiny Pool GM Tool stored in localStorage (sw_destiny_pool, sw_destiny_log)
+   - Entry Editor GM Tool: form for name, slug id, category, image, description,
+     tags, related (autocomplete over loaded entries) and gmMode with a live preview;
+     downloads the entry JSON and updated manifest, or saves local drafts
+     (sw_entry_drafts) that overlay the shipped data on this device
+   - Homebrew GM Tool: per-campaign overlay in IndexedDB (sw_codex_homebrew) that adds
+     entries, overrides fields of shipped ones or hides them; merged by
+     loadCategoryEntries, so lists (marked), search and related links include it
+   - Dice Roller GM Tool: narrative dice pools, seedable RNG, net symbol results,
+     Force dice pips; Destiny spends and pool generation go through the Destiny log
+   - Session Log GM Tool: numbered sessions with start / end, recaps with [[entry]] links;
+     unlocks and Destiny changes are recorded automatically with the session number
+     (the newest 500 are kept);
+     timeline of every session, filterable by entry (sw_sessions)
+   - Encounter GM Tool: PCs + threats from the codex (minion groups), initiative order,
+     rounds/turns, wounds/strain/crits/conditions; saved per campaign (sw_encounter)
+   - Campaign Data GM Tool: export every stored key of the campaign plus its
+     homebrew to one versioned JSON file and import it back (preview, merge or
+     replace; version 1 files still import)
+   - Party (#/party/<pc>): player-character sheets (species, career, characteristics,
+     skills, obligation / duty, XP log, equipment and ships linked to codex items and
+     vehicles) and a crew roster; saved per campaign (sw_party) and exported with it
+   - Campaigns:
+       * All stored state (unlocks, notes, destiny, tools) is namespaced per campaign
+       * GM creates / renames / duplicates / deletes campaigns; last active one is remembered
    - Search:
        * If a category is active → filters that category
        * If no category is active → global search across all categories
+       * One ranked index: name hits > tag hits > description hits
+       * Typo tolerant, supports "quoted phrases", category: and tag: qualifiers
+       * Results show a highlighted snippet; typing is debounced
+   - Description markup: paragraphs, headings, lists, **bold** / *italic* and
+     [[category/id]] or [[id|label]] links (plain text when the target is locked)
    - Related entries:
        * Each entry may define `related: [{ id, category? }, ...]` in its JSON
        * Related list respects GM locks/unlocks
+       * "Referenced by" backlinks are computed across all categories
+   - Galaxy Map (#/map/<planet>): planets with region / sector / grid and hyperlanes
+     plotted on a zoomable SVG grid; selecting a world lists the characters, factions
+     and threats tied to it; undiscovered (locked) planets are hidden from players
+   - Relationship graph (#/graph): SVG force layout of related links, colored by
+     category, click a node to open it; locked entries are left out for players
+   - GM annotations & handouts: per-entry GM notes with optional handout text / image,
+     GM-only until revealed with Add/Remove; revealed ones reach synced players
+   - Entry sections:
+       * Optional `sections: [{ id, title, body, visibility }]` after the description
+       * visibility: "public", "gm" (GM only) or "unlockable" (GM reveals with Add/Remove)
+   - Mission briefings:
+       * Missions may define objectives (primary / optional / secret), phases,
+         linked locations / NPCs and a time limit
+       * GM checks off objectives, steps through phases, runs the countdown and
+         reveals secret objectives; progress is saved per campaign
+   - Stat blocks:
+       * Threats and vehicles may carry a structured `stats` object, rendered as a stat block
+       * The numbers are GM-only; players see the block with values masked
    - Player Field Notes:
        * Per-entry, local-only notes log stored in localStorage
-       * Holo-style UI with timestamps
+       * Holo-style UI with timestamps; each note can be pinned, edited or deleted
+       * My Notes (#/notes): every note across entries, searchable, with jump-to-entry
+         and Markdown export grouped by category and entry
+   - Tags:
+       * Entry `tags` render as chips; each chip opens a cross-category tag page
+       * Category lists have a facet bar that narrows by one or more tags
+       * Search matches tag text too
+   - Offline support:
+       * sw.js precaches the shell, manifests, entries and images
+       * Datapad shows online / offline-cached status; cache refreshes on load
+   - Table sync (optional, tools/relay.js on the LAN):
+       * GM unlocks/locks, Destiny Pool changes and "push entry" reach player datapads live
+       * GM/player role handshake, automatic reconnect with backoff
+       * Players follow the GM's campaign; updates for other campaigns are ignored
+   - Hash router:
+       * #/<category>, #/<category>/<id>, #/search?q=..., #/tags/<tag>, #/gm/<tool>, #/sync
+       * State restored on load; browser back/forward walk the same views
 */
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -20,8 +92,23 @@ document.addEventListener('DOMContentLoaded', () => {
   const breadcrumbs    = document.getElementById('breadcrumbs');
   const categoryBtns   = document.querySelectorAll('.category-btn');
   const gmDestinyBtn   = document.getElementById('gmDestinyBtn');
+  const gmDiceBtn      = document.getElementById('gmDiceBtn');
+  const gmEncounterBtn = document.getElementById('gmEncounterBtn');
+  const gmEditorBtn    = document.getElementById('gmEditorBtn');
+  const gmHomebrewBtn  = document.getElementById('gmHomebrewBtn');
+  const gmSessionsBtn  = document.getElementById('gmSessionsBtn');
+  const gmRevealsBtn   = document.getElementById('gmRevealsBtn');
+  const gmDataBtn      = document.getElementById('gmDataBtn');
+  const gmCampaignsBtn = document.getElementById('gmCampaignsBtn');
+  const campaignSelect = document.getElementById('campaignSelect');
+  const syncBtn        = document.getElementById('syncBtn');
+  const graphBtn       = document.getElementById('graphBtn');
+  const mapBtn         = document.getElementById('mapBtn');
+  const partyBtn       = document.getElementById('partyBtn');
+  const notesBtn       = document.getElementById('notesBtn');
   const searchInput    = document.getElementById('search');
   const homeBtn        = document.getElementById('homeBtn');
+  const tagsBtn        = document.getElementById('tagsBtn');
 
   const flicker        = document.getElementById('flicker');
   const distortion     = document.getElementById('distortion');
@@ -29,15 +116,113 @@ document.addEventListener('DOMContentLoaded', () => {
   const cursorDot      = document.getElementById('cursor-dot');
   const dotFlicker     = document.getElementById('dotFlicker');
   const gmIndicator    = document.getElementById('gmIndicator');
+  const netStatus      = document.getElementById('netStatus');
+  const gmLockBtn      = document.getElementById('gmLockBtn');
 
   let activeCategory = null;
   let activeEntry    = null;
   let activeTool     = null; // e.g. "destiny"
   let isGM           = false;
   let searchMode     = false; // true when showing global search results
+  let applyingRoute  = false; // true while rendering a view from the URL hash
+  let tagMode        = false; // true when showing the tag index or a tag page
+  let activeTag      = null;  // tag shown on the tag page (null → tag index)
+
+  // facet filter for the category list: { category, tags: Set }
+  let activeFacets   = { category: null, tags: new Set() };
 
   // cache loaded entries per category
-  const cache = {}; // { category: [entries...] }
+  const cache = {}; // { category: [entries...] } (with drafts and homebrew applied)
+  const shippedEntries = {}; // { category: [entries...] } as loaded from disk
+  const pendingLoads = {}; // { category: Promise } while a load is in flight
+
+  // compiled bundle written by tools/build-bundle.js
+  const BUNDLE_PATH   = 'entries/codex.bundle.json';
+  const BUNDLE_FORMAT = 1;
+  let bundlePromise   = null;
+
+  /* ----------------- CAMPAIGN-SCOPED STORAGE ----------------- */
+
+  // Registry and selection are global; everything else lives under
+  // sw_campaign__<id>__<key> so campaigns never see each other's state.
+  const CAMPAIGNS_KEY        = 'sw_campaigns';
+  const ACTIVE_CAMPAIGN_KEY  = 'sw_active_campaign';
+  const CAMPAIGN_KEY_PREFIX  = 'sw_campaign__';
+  const DEFAULT_CAMPAIGN_ID  = 'default';
+
+  let campaigns        = loadCampaigns();
+  let activeCampaignId = loadActiveCampaignId();
+
+  function campaignPrefix(id = activeCampaignId) {
+    return `${CAMPAIGN_KEY_PREFIX}${id}__`;
+  }
+
+  // localStorage-shaped access to the active campaign's keys
+  const campaignStore = {
+    getItem:    key        => localStorage.getItem(campaignPrefix() + key),
+    setItem:    (key, val) => localStorage.setItem(campaignPrefix() + key, val),
+    removeItem: key        => localStorage.removeItem(campaignPrefix() + key),
+    // unprefixed keys of the active campaign that start with `prefix`
+    keys(prefix = '') {
+      return campaignKeys(activeCampaignId)
+        .filter(key => key.startsWith(prefix));
+    }
+  };
+
+  // every unprefixed key stored for campaign `id`
+  function campaignKeys(id) {
+    const full = campaignPrefix(id);
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(full)) keys.push(key.slice(full.length));
+    }
+    return keys;
+  }
+
+  // Before campaigns existed state was stored unprefixed; move it into the
+  // default campaign the first time this version runs.
+  function migrateLegacyState() {
+    const legacy = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key) continue;
+      if (key.startsWith('entry_unlocked__') || key.startsWith('sw_notes__') ||
+          key === 'sw_destiny_pool' || key === 'sw_destiny_log') {
+        legacy.push(key);
+      }
+    }
+    for (const key of legacy) {
+      localStorage.setItem(campaignPrefix(DEFAULT_CAMPAIGN_ID) + key, localStorage.getItem(key));
+      localStorage.removeItem(key);
+    }
+  }
+
+  function loadCampaigns() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(CAMPAIGNS_KEY));
+      if (Array.isArray(parsed) && parsed.length) return parsed;
+    } catch {
+      // fall through to a fresh registry
+    }
+    migrateLegacyState();
+    const fresh = [{ id: DEFAULT_CAMPAIGN_ID, name: 'Campaign 1', createdAt: new Date().toISOString() }];
+    try {
+      localStorage.setItem(CAMPAIGNS_KEY, JSON.stringify(fresh));
+    } catch {}
+    return fresh;
+  }
+
+  function saveCampaigns() {
+    try {
+      localStorage.setItem(CAMPAIGNS_KEY, JSON.stringify(campaigns));
+    } catch {}
+  }
+
+  function loadActiveCampaignId() {
+    const id = localStorage.getItem(ACTIVE_CAMPAIGN_KEY);
+    return campaigns.some(c => c.id === id) ? id : campaigns[0].id;
+  }
 
   // Destiny pool storage keys
   const DESTINY_STATE_KEY = 'sw_destiny_pool';
@@ -46,12 +231,58 @@ document.addEventListener('DOMContentLoaded', () => {
   let destinyState = loadDestinyState();
   let destinyLog   = loadDestinyLog();
 
+  // Encounter tracker storage key
+  const ENCOUNTER_KEY = 'sw_encounter';
+
+  let encounter = loadEncounter();
+
   // Player notes storage
   const NOTES_PREFIX = 'sw_notes__';
 
   // helper localStorage key for codex unlocks
   const lsKey = id => `entry_unlocked__${id}`;
 
+  function isUnlocked(entry) {
+    return !entry.gmMode || campaignStore.getItem(lsKey(entry.id)) === 'true';
+  }
+
+  // players only see unlocked entries; the GM sees everything
+  function isVisible(entry) {
+    return isGM || isUnlocked(entry);
+  }
+
+  // unlock key for a single section, stored alongside whole-entry unlocks
+  const sectionUnlockId = (entry, section) => `${entry.id}::${section.id}`;
+  const sectionKey = (entry, section) => lsKey(sectionUnlockId(entry, section));
+
+  // reveal / hide an entry or section id for players (and synced datapads)
+  function setUnlocked(unlockId, on) {
+    if (isUnlockSet(unlockId) !== on) recordUnlockChange(unlockId, on);
+    if (on) campaignStore.setItem(lsKey(unlockId), 'true');
+    else    campaignStore.removeItem(lsKey(unlockId));
+    syncSend({ type: 'unlock', id: unlockId, on });
+    recordSessionEvent({ kind: 'unlock', unlockId, on, refs: [{ id: unlockId.split('::')[0] }] });
+  }
+
+  function entrySections(entry) {
+    return Array.isArray(entry.sections)
+      ? entry.sections.filter(sec => sec && sec.id && typeof sec.body === 'string')
+      : [];
+  }
+
+  // unknown visibilities (typos, unvalidated homebrew) stay hidden from players
+  function isSectionRevealed(entry, section) {
+    if (section.visibility === 'public' || section.visibility === undefined) return true;
+    if (section.visibility === 'unlockable') {
+      return campaignStore.getItem(sectionKey(entry, section)) === 'true';
+    }
+    return false;
+  }
+
+  function isSectionVisible(entry, section) {
+    return isGM || isSectionRevealed(entry, section);
+  }
+
   // utility: safe fetch JSON or null
   async function fetchJson(path) {
     try {
@@ -64,43 +295,320 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
-  // load manifest and then each entry JSON for a category
-  async function loadCategoryEntries(category) {
-    if (cache[category]) return cache[category];
+  // bundle or null; only fetched once per page load
+  function loadBundle() {
+    if (!bundlePromise) {
+      bundlePromise = fetchJson(BUNDLE_PATH).then(bundle => {
+        if (!bundle || bundle.format !== BUNDLE_FORMAT) return null;
+        return bundle;
+      });
+    }
+    return bundlePromise;
+  }
+
+  // entries for a category from the bundle (inline or chunked), or null.
+  // A bundle whose copy of the manifest differs from the live one was built
+  // before entries were added or removed, so the category loads per file.
+  async function loadCategoryFromBundle(category) {
+    const bundle = await loadBundle();
+    if (!bundle) return null;
+
+    const built = bundle.manifests && bundle.manifests[category];
+    const live  = await fetchJson(`entries/${category}/manifest.json`);
+    if (!built || JSON.stringify(built) !== JSON.stringify(live)) {
+      console.warn('codex bundle is out of date for', category);
+      flashNetStatus('BUNDLE OUT OF DATE · LOADING FILES');
+      return null;
+    }
+
+    if (bundle.categories && Array.isArray(bundle.categories[category])) {
+      return bundle.categories[category];
+    }
+    if (bundle.chunks && bundle.chunks[category]) {
+      const chunk = await fetchJson(`entries/${bundle.chunks[category]}`);
+      if (Array.isArray(chunk)) return chunk;
+      console.warn('bundle chunk missing for', category);
+    }
+    return null;
+  }
 
+  // authoring path: manifest, then every entry JSON fetched in parallel
+  async function loadCategoryFromFiles(category) {
     const manifestPath = `entries/${category}/manifest.json`;
     const files = await fetchJson(manifestPath);
     if (!Array.isArray(files)) {
       console.warn('manifest missing or invalid for', category, manifestPath);
-      cache[category] = [];
       return [];
     }
 
+    const results = await Promise.all(
+      files.map(file => fetchJson(`entries/${category}/${file}`))
+    );
+
     const entries = [];
-    for (const file of files) {
-      const filePath = `entries/${category}/${file}`;
-      const data = await fetchJson(filePath);
+    results.forEach((data, i) => {
+      const file = files[i];
       if (!data) {
-        console.warn('failed to load entry', filePath);
-        continue;
+        console.warn('failed to load entry', `entries/${category}/${file}`);
+        return;
       }
       if (!data.id) {
         data.id = file.replace(/\.[^/.]+$/, '');
       }
-      data.category = category;
       entries.push(data);
-    }
-    cache[category] = entries;
+    });
     return entries;
   }
 
+  // load a category from the bundle when present, else from its manifest
+  async function loadCategoryEntries(category) {
+    if (cache[category]) return cache[category];
+    if (pendingLoads[category]) return pendingLoads[category];
+
+    pendingLoads[category] = (async () => {
+      const entries = (await loadCategoryFromBundle(category))
+        || (await loadCategoryFromFiles(category));
+      entries.forEach(e => { e.category = category; });
+      await loadHomebrew();
+      shippedEntries[category] = entries;
+      refreshCategory(category);
+      delete pendingLoads[category];
+      return cache[category];
+    })();
+    return pendingLoads[category];
+  }
+
   async function loadAllEntries() {
-    const all = [];
-    for (const cat of categories) {
-      const entries = await loadCategoryEntries(cat);
-      all.push(...entries);
+    const lists = await Promise.all(categories.map(loadCategoryEntries));
+    return lists.flat();
+  }
+
+  /* ----------------- ENTRY DRAFTS ----------------- */
+
+  // Entries saved from the GM editor on this device, laid over the shipped
+  // data: { "<category>/<id>": { entry, replaces, savedAt } }. `replaces` is
+  // the shipped id when a draft renames an entry.
+  const DRAFTS_KEY = 'sw_entry_drafts';
+
+  let entryDrafts = loadDrafts();
+
+  function loadDrafts() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(DRAFTS_KEY));
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+
+  function saveDrafts() {
+    try {
+      localStorage.setItem(DRAFTS_KEY, JSON.stringify(entryDrafts));
+    } catch {}
+  }
+
+  const draftKey = (category, id) => `${category}/${id}`;
+
+  function isDraft(entry) {
+    return Boolean(entryDrafts[draftKey(entry.category, entry.id)]);
+  }
+
+  function overlayDrafts(category, shipped) {
+    const drafts = Object.entries(entryDrafts)
+      .filter(([key]) => key.startsWith(`${category}/`))
+      .map(([, draft]) => draft);
+    if (!drafts.length) return shipped;
+
+    const replaced = new Map();
+    drafts.forEach(d => replaced.set(d.replaces || d.entry.id, d));
+
+    const merged = shipped.map(e => {
+      const draft = replaced.get(e.id);
+      if (!draft) return e;
+      replaced.delete(e.id);
+      return Object.assign({}, draft.entry, { category });
+    });
+    // brand new entries go after the shipped ones
+    for (const draft of replaced.values()) merged.push(Object.assign({}, draft.entry, { category }));
+    return merged;
+  }
+
+  // rebuild a loaded category from the shipped entries, drafts and homebrew
+  function refreshCategory(category) {
+    if (!shippedEntries[category]) return;
+    cache[category] = applyHomebrew(category, overlayDrafts(category, shippedEntries[category]));
+    delete searchDocs[category];
+  }
+
+  /* ----------------- HOMEBREW OVERLAY ----------------- */
+
+  // Campaign-specific entries the GM keeps in IndexedDB, applied on top of
+  // the shipped data (and drafts). One record per category/id:
+  //   { key, campaign, category, id, mode: 'add' | 'override' | 'hide', fields, updatedAt }
+  // "add" is a whole entry, "override" only the fields that change.
+  const HOMEBREW_DB_NAME = 'sw_codex_homebrew';
+  const HOMEBREW_STORE   = 'entries';
+
+  let homebrewDb      = null; // open() promise
+  let homebrewLoaded  = null; // promise for the active campaign's records
+  let homebrewRecords = [];
+
+  const homebrewKey = (campaign, category, id) => `${campaign}/${category}/${id}`;
+
+  function openHomebrewDb() {
+    if (!homebrewDb) {
+      homebrewDb = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+        const req = indexedDB.open(HOMEBREW_DB_NAME, 1);
+        req.onupgradeneeded = () => {
+          const store = req.result.createObjectStore(HOMEBREW_STORE, { keyPath: 'key' });
+          store.createIndex('campaign', 'campaign');
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror   = () => reject(req.error);
+      });
+    }
+    return homebrewDb;
+  }
+
+  // runs fn(store) in one transaction; resolves with the request fn returns
+  async function homebrewTx(mode, fn) {
+    const db = await openHomebrewDb();
+    return new Promise((resolve, reject) => {
+      const tx  = db.transaction(HOMEBREW_STORE, mode);
+      const req = fn(tx.objectStore(HOMEBREW_STORE));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror    = () => reject(tx.error);
+      // quota failures abort the transaction without an error event
+      tx.onabort    = () => reject(tx.error || new Error('homebrew transaction aborted'));
+    });
+  }
+
+  function loadHomebrew() {
+    if (!homebrewLoaded) {
+      const campaign = activeCampaignId;
+      homebrewLoaded = homebrewTx('readonly', store => store.index('campaign').getAll(campaign))
+        .then(records => {
+          if (campaign === activeCampaignId) homebrewRecords = records || [];
+        })
+        .catch(e => {
+          console.warn('homebrew overlay unavailable', e);
+          homebrewRecords = [];
+        });
+    }
+    return homebrewLoaded;
+  }
+
+  function applyHomebrew(category, entries) {
+    const records = homebrewRecords.filter(r => r.category === category);
+    if (!records.length) return entries;
+
+    const byId = new Map(records.map(r => [r.id, r]));
+    const merged = [];
+    for (const entry of entries) {
+      const record = byId.get(entry.id);
+      if (!record) {
+        merged.push(entry);
+        continue;
+      }
+      byId.delete(entry.id);
+      if (record.mode === 'hide') continue;
+      const base = record.mode === 'override' ? entry : {};
+      merged.push(Object.assign({}, base, record.fields, { id: entry.id, category }));
+    }
+    for (const record of byId.values()) {
+      if (record.mode === 'add') merged.push(Object.assign({}, record.fields, { id: record.id, category }));
+    }
+    return merged;
+  }
+
+  // the active campaign's record for this category/id, if any
+  function homebrewRecord(category, id) {
+    return homebrewRecords.find(r => r.category === category && r.id === id) || null;
+  }
+
+  // re-read the active campaign's records and rebuild every loaded category
+  async function reloadHomebrewOverlay() {
+    homebrewLoaded = null;
+    await loadHomebrew();
+    Object.keys(shippedEntries).forEach(refreshCategory);
+  }
+
+  async function saveHomebrew(category, id, mode, fields) {
+    const record = {
+      key: homebrewKey(activeCampaignId, category, id),
+      campaign: activeCampaignId,
+      category,
+      id,
+      mode,
+      fields: fields || {},
+      updatedAt: new Date().toISOString()
+    };
+    await homebrewTx('readwrite', store => store.put(record));
+    await reloadHomebrewOverlay();
+  }
+
+  async function removeHomebrew(key) {
+    await homebrewTx('readwrite', store => store.delete(key));
+    await reloadHomebrewOverlay();
+  }
+
+  function deleteCampaignHomebrew(campaign) {
+    return homebrewTx('readwrite', store => {
+      const req = store.index('campaign').openKeyCursor(IDBKeyRange.only(campaign));
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+      };
+    }).catch(e => console.warn('could not delete homebrew for', campaign, e));
+  }
+
+  async function copyCampaignHomebrew(from, to) {
+    try {
+      const records = await homebrewTx('readonly', store => store.index('campaign').getAll(from));
+      await homebrewTx('readwrite', store => {
+        for (const r of records || []) {
+          store.put(Object.assign({}, r, { key: homebrewKey(to, r.category, r.id), campaign: to }));
+        }
+      });
+    } catch (e) {
+      console.warn('could not copy homebrew to', to, e);
     }
-    return all;
+  }
+
+  // fields of `entry` that differ from the shipped one
+  function changedFields(entry, shipped) {
+    const fields = {};
+    for (const [key, value] of Object.entries(entry)) {
+      if (key === 'id' || key === 'category') continue;
+      if (JSON.stringify(value) !== JSON.stringify(shipped[key])) fields[key] = value;
+    }
+    // fields cleared in the editor (image, tags, related)
+    for (const key of Object.keys(shipped)) {
+      if (key !== 'category' && !(key in entry)) fields[key] = null;
+    }
+    return fields;
+  }
+
+  // "Draft" (GM only) and "Homebrew" / "Modified" badges for list rows
+  function appendOverlayBadges(row, entry) {
+    const add = (text, title, className) => {
+      const badge = document.createElement('span');
+      badge.className = `section-badge ${className}`;
+      badge.textContent = text;
+      badge.title = title;
+      row.appendChild(badge);
+    };
+    if (isGM && isDraft(entry)) add('Draft', 'Local draft from the Entry Editor', 'draft-badge');
+
+    const record = homebrewRecord(entry.category, entry.id);
+    if (record && record.mode === 'add') add('Homebrew', 'Added for this campaign', 'homebrew-badge');
+    if (record && record.mode === 'override') add('Modified', 'Changed for this campaign', 'homebrew-badge');
   }
 
   /* ----------------- PLAYER NOTES HELPERS ----------------- */
@@ -111,7 +619,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   function loadNotes(entryId) {
     try {
-      const raw = localStorage.getItem(notesKeyFor(entryId));
+      const raw = campaignStore.getItem(notesKeyFor(entryId));
       if (!raw) return [];
       const parsed = JSON.parse(raw);
       return Array.isArray(parsed) ? parsed : [];
@@ -122,31 +630,80 @@ document.addEventListener('DOMContentLoaded', () => {
 
   function saveNotes(entryId, notes) {
     try {
-      localStorage.setItem(notesKeyFor(entryId), JSON.stringify(notes));
+      if (notes.length) campaignStore.setItem(notesKeyFor(entryId), JSON.stringify(notes));
+      else campaignStore.removeItem(notesKeyFor(entryId));
     } catch {
       // ignore
     }
   }
 
+  // pinned notes first, then newest first
+  function sortNotes(notes) {
+    return notes.sort((a, b) =>
+      (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || String(b.ts).localeCompare(String(a.ts)));
+  }
+
+  function formatNoteTime(ts) {
+    try {
+      return new Date(ts).toLocaleString([], {
+        year: 'numeric',
+        month: 'short',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+    } catch {
+      return ts || '';
+    }
+  }
+
   /* ----------------- BREADCRUMBS ----------------- */
 
   function updateBreadcrumbs() {
+    // The URL mirrors the same state the breadcrumbs do
+    syncRoute();
+
     breadcrumbs.innerHTML = '';
 
+    // Tools open to everyone: just the tool name
+    if (activeTool && gmTools[activeTool] && gmTools[activeTool].route) {
+      const toolSpan = document.createElement('span');
+      toolSpan.textContent = gmTools[activeTool].label;
+      breadcrumbs.appendChild(toolSpan);
+      return;
+    }
+
     // GM tools breadcrumb
-    if (activeTool === 'destiny') {
+    if (activeTool && gmTools[activeTool]) {
       const gmSpan  = document.createElement('span');
       gmSpan.textContent = 'GM Tools';
       const sep     = document.createElement('span');
       sep.textContent = ' > ';
       const toolSpan = document.createElement('span');
-      toolSpan.textContent = 'Destiny Pool';
+      toolSpan.textContent = gmTools[activeTool].label;
       breadcrumbs.appendChild(gmSpan);
       breadcrumbs.appendChild(sep);
       breadcrumbs.appendChild(toolSpan);
       return;
     }
 
+    // Tag index / tag page
+    if (tagMode) {
+      const tagsSpan = document.createElement('span');
+      tagsSpan.textContent = 'Tags';
+      tagsSpan.addEventListener('click', () => renderTagView(null));
+      breadcrumbs.appendChild(tagsSpan);
+      if (activeTag) {
+        const sep = document.createElement('span');
+        sep.textContent = ' > ';
+        const tagSpan = document.createElement('span');
+        tagSpan.textContent = activeTag;
+        breadcrumbs.appendChild(sep);
+        breadcrumbs.appendChild(tagSpan);
+      }
+      return;
+    }
+
     // Global search mode (no category)
     if (searchMode && !activeCategory && !activeEntry) {
       const s = document.createElement('span');
@@ -181,6 +738,7 @@ document.addEventListener('DOMContentLoaded', () => {
     entryContent.innerHTML = '';
     activeTool = null;
     searchMode = false;
+    tagMode    = false;
 
     if (!activeCategory) {
       entryContent.innerHTML = `<h1>Rebel Alliance Field Codex</h1>
@@ -189,32 +747,56 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
 
-    const entries = await loadCategoryEntries(activeCategory);
-    const q = (searchInput.value || '').trim().toLowerCase();
+    const category = activeCategory;
+    const entries = await loadCategoryEntries(category);
+    const q = (searchInput.value || '').trim();
+    const facets = facetsFor(category);
 
-    const list = document.createElement('div');
+    // ranked hits when searching, manifest order otherwise
+    const hits = q
+      ? await searchEntries(q, [category])
+      : entries.filter(isVisible).map(entry => ({ entry, words: [] }));
 
-    for (const entry of entries) {
-      const isGMOnly = Boolean(entry.gmMode);
-      const unlocked = isGMOnly
-        ? (localStorage.getItem(lsKey(entry.id)) === 'true')
-        : true;
+    // Avoid race condition: a newer view may have replaced this one
+    if (activeCategory !== category || activeEntry || activeTool || tagMode) return;
+    if ((searchInput.value || '').trim() !== q) return;
+    entryContent.innerHTML = '';
 
-      // hide GM-only entries if not unlocked & not GM
-      if (!unlocked && !isGM) continue;
+    renderFacetBar(entries.filter(isVisible), facets);
 
-      const textMatch =
-        entry.name.toLowerCase().includes(q) ||
-        (entry.description || '').toLowerCase().includes(q);
+    const list = document.createElement('div');
+    const selected = bulkSelectionFor(category);
+    const lockable = [];
+    let bulkBar = null;
+
+    for (const { entry, words } of hits) {
+      const isGMOnly = Boolean(entry.gmMode);
+      const unlocked = isUnlocked(entry);
 
-      if (q && !textMatch) continue;
+      if (!hasAllTags(entry, facets)) continue;
 
       const row = document.createElement('div');
       row.className = 'entry-row';
 
+      // GM: checkboxes for bulk Add / Remove
+      if (isGM && isGMOnly) {
+        lockable.push(entry);
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.className = 'bulk-check';
+        check.checked = selected.has(entry.id);
+        check.title = 'Select for bulk Add / Remove';
+        check.addEventListener('change', () => {
+          if (check.checked) selected.add(entry.id);
+          else selected.delete(entry.id);
+          if (bulkBar) bulkBar.update();
+        });
+        row.appendChild(check);
+      }
+
       const titleBtn = document.createElement('button');
       titleBtn.className = 'entry-title';
-      titleBtn.textContent = entry.name;
+      fillSearchResultTitle(titleBtn, entry.name, entry, words);
 
       if (unlocked)        titleBtn.classList.add('unlocked');
       else if (isGM)       titleBtn.classList.add('gm-locked');
@@ -227,21 +809,18 @@ document.addEventListener('DOMContentLoaded', () => {
       });
 
       row.appendChild(titleBtn);
+      appendOverlayBadges(row, entry);
 
       // GM controls for gmMode entries
       if (isGM && isGMOnly) {
-        const currentlyUnlocked = localStorage.getItem(lsKey(entry.id)) === 'true';
+        const currentlyUnlocked = campaignStore.getItem(lsKey(entry.id)) === 'true';
         const btn = document.createElement('button');
         btn.className = 'unlock-btn ' + (currentlyUnlocked ? 'remove' : 'add');
         btn.textContent = currentlyUnlocked ? 'Remove' : 'Add';
         btn.title = currentlyUnlocked ? 'Remove from player view' : 'Add to player view';
         btn.addEventListener('click', (ev) => {
           ev.stopPropagation();
-          if (currentlyUnlocked) {
-            localStorage.removeItem(lsKey(entry.id));
-          } else {
-            localStorage.setItem(lsKey(entry.id), 'true');
-          }
+          setUnlocked(entry.id, !currentlyUnlocked);
           renderListForActiveCategory();
         });
         row.appendChild(btn);
@@ -257,15 +836,28 @@ document.addEventListener('DOMContentLoaded', () => {
         : 'No entries available (locked or none).';
       entryContent.appendChild(msg);
     } else {
+      if (lockable.length) {
+        bulkBar = renderBulkBar(lockable, selected);
+        entryContent.appendChild(bulkBar);
+      }
       entryContent.appendChild(list);
     }
     updateBreadcrumbs();
   }
 
+  // jump to an entry from anywhere (tools, links, pushed entries)
+  function openEntry(entry) {
+    setActiveNav(document.querySelector(`.category-btn[data-category="${entry.category}"]`));
+    activeCategory = entry.category;
+    activeEntry    = entry;
+    renderEntryDetail(entry);
+  }
+
   function renderEntryDetail(entry) {
     entryContent.innerHTML = '';
     activeTool   = null;
     searchMode   = false;
+    tagMode      = false;
 
     const title = document.createElement('h1');
     title.textContent = entry.name;
@@ -278,26 +870,94 @@ document.addEventListener('DOMContentLoaded', () => {
       entryContent.appendChild(img);
     }
 
-    const p = document.createElement('p');
-    p.textContent = entry.description || '';
-    entryContent.appendChild(p);
+    const description = document.createElement('div');
+    description.className = 'entry-description';
+    description.appendChild(renderMarkup(entry.description));
+    entryContent.appendChild(description);
+
+    renderEntrySections(entry);
+    renderPlanetLocation(entry);
+    renderStatBlock(entry);
+    renderMissionBriefing(entry);
+
+    const tagChips = buildTagChips(entryTags(entry));
+    if (tagChips) entryContent.appendChild(tagChips);
 
     // GM reveal button for gmMode entries
     if (isGM && entry.gmMode) {
-      const unlocked = localStorage.getItem(lsKey(entry.id)) === 'true';
+      const unlocked = campaignStore.getItem(lsKey(entry.id)) === 'true';
       const gmBtn = document.createElement('button');
       gmBtn.className = 'unlock-btn ' + (unlocked ? 'remove' : 'add');
       gmBtn.textContent = unlocked ? 'Remove' : 'Add';
       gmBtn.style.marginTop = '10px';
       gmBtn.addEventListener('click', () => {
-        if (unlocked) localStorage.removeItem(lsKey(entry.id));
-        else          localStorage.setItem(lsKey(entry.id), 'true');
+        setUnlocked(entry.id, !unlocked);
         renderListForActiveCategory();
       });
       entryContent.appendChild(gmBtn);
     }
 
-    // Player Field Notes panel
+    // GM: reveal related entries or a reveal group in one step
+    if (isGM) {
+      const revealBar = document.createElement('span');
+      revealBar.className = 'reveal-bar';
+      entryContent.appendChild(revealBar);
+      fillRevealBar(entry, revealBar);
+    }
+
+    // GM: open this entry in the editor
+    if (isGM) {
+      const editBtn = document.createElement('button');
+      editBtn.className = 'unlock-btn';
+      editBtn.textContent = isDraft(entry) ? 'Edit Entry (draft)' : 'Edit Entry';
+      editBtn.title = 'Edit this entry and download its JSON, or save a local draft';
+      editBtn.style.marginTop = '10px';
+      editBtn.style.marginLeft = '6px';
+      editBtn.addEventListener('click', () => {
+        setActiveNav(gmEditorBtn);
+        renderEntryEditor(entry);
+      });
+      entryContent.appendChild(editBtn);
+
+      const record = homebrewRecord(entry.category, entry.id);
+      if (!record || record.mode !== 'add') {
+        const hideBtn = document.createElement('button');
+        hideBtn.className = 'unlock-btn remove';
+        hideBtn.textContent = 'Hide from Campaign';
+        hideBtn.title = 'Hide this entry in the current campaign (restore it from GM Tools → Homebrew)';
+        hideBtn.style.marginTop = '10px';
+        hideBtn.style.marginLeft = '6px';
+        hideBtn.addEventListener('click', async () => {
+          if (!confirm(`Hide "${entry.name}" from ${activeCampaign().name}?`)) return;
+          try {
+            await saveHomebrew(entry.category, entry.id, 'hide');
+          } catch (e) {
+            alert(`Could not hide the entry: ${e.message || e}`);
+            return;
+          }
+          activeEntry = null;
+          renderListForActiveCategory();
+        });
+        entryContent.appendChild(hideBtn);
+      }
+    }
+
+    // GM: send this entry to every synced player datapad
+    if (isGM && syncRole === 'gm' && syncState === 'connected') {
+      const pushBtn = document.createElement('button');
+      pushBtn.className = 'unlock-btn';
+      pushBtn.textContent = 'Push to Screens';
+      pushBtn.title = 'Open this entry on every connected player datapad';
+      pushBtn.style.marginTop = '10px';
+      pushBtn.style.marginLeft = '6px';
+      pushBtn.addEventListener('click', () => {
+        syncSend({ type: 'push-entry', category: entry.category, id: entry.id });
+      });
+      entryContent.appendChild(pushBtn);
+    }
+
+    // GM annotations / revealed handouts, then the player's Field Notes
+    renderAnnotationsPanel(entry);
     renderNotesPanel(entry);
 
     // Back button
@@ -313,503 +973,5525 @@ document.addEventListener('DOMContentLoaded', () => {
 
     updateBreadcrumbs();
 
-    // Build related entries section asynchronously
+    // Inline [[links]] and the related entries section resolve asynchronously
+    resolveEntryLinks(entryContent);
     buildRelatedSection(entry);
   }
 
-  /* ----------------- FIELD NOTES PANEL ----------------- */
-
-  function renderNotesPanel(entry) {
-    const notes = loadNotes(entry.id);
+  /* ----------------- DESCRIPTION MARKUP ----------------- */
 
-    const section = document.createElement('div');
-    section.className = 'notes-section';
+  // Lightweight markup for descriptions and section bodies. Text only ever
+  // reaches the page through text nodes, so entry files can't inject HTML.
+  //   blank line           → new paragraph
+  //   # Heading / ## Sub   → headings
+  //   - item / 1. item     → lists
+  //   **bold**, *italic*, _italic_
+  //   [[category/id]], [[id]], [[id|label]] → link to another entry
 
-    const header = document.createElement('div');
-    header.className = 'notes-header';
-    header.textContent = 'Field Notes (Local Device)';
-    section.appendChild(header);
+  const INLINE_PATTERN = /\[\[([^\]|]+)(?:\|([^\]]+))?\]\]|\*\*(.+?)\*\*|\*(.+?)\*|(?<!\w)_(.+?)_(?!\w)/g;
 
-    const inputWrap = document.createElement('div');
-    inputWrap.className = 'notes-input-wrap';
+  function parseEntryRef(ref) {
+    const [first, second] = ref.trim().split('/');
+    return second ? { category: first, id: second } : { id: first };
+  }
 
-    const textarea = document.createElement('textarea');
-    textarea.className = 'notes-input';
-    textarea.rows = 3;
-    textarea.placeholder = 'Record observations, suspicions, or reminders about this entry...';
-    inputWrap.appendChild(textarea);
+  // placeholder until resolveEntryLinks knows whether the target is visible
+  function entryLinkPlaceholder(ref, label) {
+    const { id, category } = parseEntryRef(ref);
+    const span = document.createElement('span');
+    span.className = 'entry-link pending';
+    span.dataset.id = id;
+    if (category) span.dataset.category = category;
+    if (label)    span.dataset.label = label.trim();
+    span.textContent = label ? label.trim() : id;
+    return span;
+  }
 
-    const controls = document.createElement('div');
-    controls.className = 'notes-controls';
+  function appendInline(parent, text) {
+    let last = 0;
+    for (const match of text.matchAll(INLINE_PATTERN)) {
+      if (match.index > last) parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+      const [, ref, label, bold, italic, underscored] = match;
 
-    const addBtn = document.createElement('button');
-    addBtn.className = 'notes-btn';
-    addBtn.textContent = 'Add Note';
+      if (ref) {
+        parent.appendChild(entryLinkPlaceholder(ref, label));
+      } else {
+        const el = document.createElement(bold ? 'strong' : 'em');
+        appendInline(el, bold || italic || underscored);
+        parent.appendChild(el);
+      }
+      last = match.index + match[0].length;
+    }
+    if (last < text.length) parent.appendChild(document.createTextNode(text.slice(last)));
+  }
 
-    const clearBtn = document.createElement('button');
-    clearBtn.className = 'notes-btn notes-btn-secondary';
-    clearBtn.textContent = 'Clear Log';
+  function renderMarkup(text) {
+    const fragment = document.createDocumentFragment();
+    let paragraph = null;
+    let list = null;
 
-    controls.appendChild(addBtn);
-    controls.appendChild(clearBtn);
-    inputWrap.appendChild(controls);
+    const close = () => { paragraph = null; list = null; };
 
-    section.appendChild(inputWrap);
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line) {
+        close();
+        continue;
+      }
 
-    const listContainer = document.createElement('div');
-    listContainer.className = 'notes-log';
-    section.appendChild(listContainer);
+      const heading = line.match(/^(#{1,3})\s+(.*)$/);
+      const bullet  = line.match(/^[-*]\s+(.*)$/);
+      const number  = line.match(/^\d+[.)]\s+(.*)$/);
+
+      if (heading) {
+        close();
+        const h = document.createElement(heading[1].length === 1 ? 'h3' : 'h4');
+        h.className = 'markup-heading';
+        appendInline(h, heading[2]);
+        fragment.appendChild(h);
+      } else if (bullet || number) {
+        const tag = bullet ? 'UL' : 'OL';
+        if (!list || list.tagName !== tag) {
+          paragraph = null;
+          list = document.createElement(tag);
+          list.className = 'markup-list';
+          fragment.appendChild(list);
+        }
+        const li = document.createElement('li');
+        appendInline(li, (bullet || number)[1]);
+        list.appendChild(li);
+      } else {
+        list = null;
+        if (paragraph) {
+          paragraph.appendChild(document.createElement('br'));
+        } else {
+          paragraph = document.createElement('p');
+          fragment.appendChild(paragraph);
+        }
+        appendInline(paragraph, line);
+      }
+    }
+    return fragment;
+  }
 
-    entryContent.appendChild(section);
+  // markup → plain text, for the search index and snippets
+  function plainText(text) {
+    return String(text || '')
+      .replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (m, ref, label) =>
+        label || parseEntryRef(ref).id.replace(/[_-]+/g, ' '))
+      .replace(/\*\*(.+?)\*\*|\*(.+?)\*|(?<!\w)_(.+?)_(?!\w)/g, (m, a, b, c) => a || b || c)
+      .replace(/^\s*(#{1,3}|[-*]|\d+[.)])\s+/gm, '');
+  }
 
-    function renderLog() {
-      listContainer.innerHTML = '';
+  // inline links behave like related chips; locked targets become plain text
+  async function resolveEntryLinks(container) {
+    if (!container.querySelector('.entry-link.pending')) return;
+    const allEntries = await loadAllEntries();
 
-      if (!notes.length) {
-        const empty = document.createElement('div');
-        empty.className = 'notes-empty';
-        empty.textContent = 'No notes recorded yet.';
-        listContainer.appendChild(empty);
+    container.querySelectorAll('.entry-link.pending').forEach(span => {
+      const target = resolveRelated({ id: span.dataset.id, category: span.dataset.category }, allEntries);
+      // a locked target's name stays hidden: fall back to the author's label or the id
+      if (!target || !isVisible(target)) {
+        span.replaceWith(document.createTextNode(span.dataset.label || span.dataset.id));
         return;
       }
+      const label = span.dataset.label || target.name;
+
+      const link = document.createElement('button');
+      link.className = 'entry-link';
+      link.textContent = label;
+      link.title = `${target.name} (${target.category})`;
+      link.addEventListener('click', () => {
+        activeTool = null;
+        searchMode = false;
+        openEntry(target);
+      });
+      span.replaceWith(link);
+    });
+  }
 
-      notes.forEach(note => {
-        const row = document.createElement('div');
-        row.className = 'note-entry';
+  /* ----------------- ENTRY SECTIONS ----------------- */
 
-        const meta = document.createElement('div');
-        meta.className = 'note-meta';
+  function renderEntrySections(entry) {
+    for (const section of entrySections(entry)) {
+      if (!isSectionVisible(entry, section)) continue;
 
-        let when = '';
-        try {
-          const d = new Date(note.ts);
-          when = d.toLocaleString([], {
-            year: 'numeric',
-            month: 'short',
-            day: '2-digit',
-            hour: '2-digit',
-            minute: '2-digit'
-          });
-        } catch {
-          when = note.ts || '';
-        }
+      const revealed = isSectionRevealed(entry, section);
+      // 'gm', or a visibility the datapad doesn't know
+      const gmOnly   = !revealed && section.visibility !== 'unlockable';
 
-        meta.textContent = when;
+      const block = document.createElement('div');
+      block.className = 'entry-section';
+      if (gmOnly)                              block.classList.add('section-gm');
+      if (section.visibility === 'unlockable') block.classList.add('section-secret');
+      if (!revealed)                           block.classList.add('section-hidden');
 
-        const body = document.createElement('div');
-        body.className = 'note-body';
-        body.textContent = note.text || '';
+      const header = document.createElement('div');
+      header.className = 'entry-section-header';
 
-        row.appendChild(meta);
-        row.appendChild(body);
+      const heading = document.createElement('h2');
+      heading.textContent = section.title || '';
+      header.appendChild(heading);
 
-        listContainer.appendChild(row);
-      });
-    }
+      if (isGM && gmOnly) {
+        const badge = document.createElement('span');
+        badge.className = 'section-badge';
+        badge.textContent = 'GM Only';
+        header.appendChild(badge);
+      }
+
+      // GM reveal button for unlockable sections, same as whole entries
+      if (isGM && section.visibility === 'unlockable') {
+        const badge = document.createElement('span');
+        badge.className = 'section-badge';
+        badge.textContent = revealed ? 'Revealed' : 'Hidden';
+        header.appendChild(badge);
+
+        const btn = document.createElement('button');
+        btn.className = 'unlock-btn ' + (revealed ? 'remove' : 'add');
+        btn.textContent = revealed ? 'Remove' : 'Add';
+        btn.title = revealed ? 'Remove from player view' : 'Add to player view';
+        btn.addEventListener('click', () => {
+          setUnlocked(sectionUnlockId(entry, section), !revealed);
+          renderEntryDetail(entry);
+        });
+        header.appendChild(btn);
+      }
+
+      block.appendChild(header);
+
+      block.appendChild(renderMarkup(section.body));
+
+      entryContent.appendChild(block);
+    }
+  }
+
+  /* ----------------- STAT BLOCKS ----------------- */
+
+  const CHARACTERISTICS = ['brawn', 'agility', 'intellect', 'cunning', 'willpower', 'presence'];
+
+  // the numbers are GM-only; players see the shape of the block with values masked
+  function statValue(value, signed) {
+    if (!isGM) return '–';
+    if (value === undefined || value === null) return '–';
+    const n = Number(value);
+    return escapeHtml(signed && n > 0 ? `+${n}` : String(value));
+  }
+
+  const statBox = (label, value) => `
+    <div class="stat-box">
+      <div class="stat-value">${value}</div>
+      <div class="stat-label">${label}</div>
+    </div>`;
+
+  const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+  // threats roll with a skill, vehicle weapons fire from an arc
+  function weaponTable(weapons, middle) {
+    if (!Array.isArray(weapons) || !weapons.length) return '';
+    const rows = weapons.map(w => `
+      <tr>
+        <td>${escapeHtml(w.name || '')}</td>
+        <td>${escapeHtml(w[middle.key] || '')}</td>
+        <td>${statValue(w.damage)}</td>
+        <td>${statValue(w.crit)}</td>
+        <td>${escapeHtml(w.range || '')}</td>
+        <td>${isGM ? escapeHtml((w.qualities || []).join(', ')) : '–'}</td>
+      </tr>`).join('');
+    return `
+      <table class="stat-weapons">
+        <tr><th>Weapon</th><th>${middle.label}</th><th>Dam</th><th>Crit</th><th>Range</th><th>Qualities</th></tr>
+        ${rows}
+      </table>`;
+  }
+
+  function threatStatsHtml(stats) {
+    const chars = stats.characteristics || {};
+    const defense = stats.defense || {};
+    const skills = (stats.skills || [])
+      .map(s => escapeHtml(isGM ? `${s.name} ${s.rank}` : s.name))
+      .join(', ');
+    const talents = (stats.talents || []).map(t => {
+      if (typeof t === 'string') return `<li>${escapeHtml(t)}</li>`;
+      const desc = t.description ? ` – ${escapeHtml(t.description)}` : '';
+      return `<li><strong>${escapeHtml(t.name)}</strong>${desc}</li>`;
+    }).join('');
+
+    return `
+      <div class="stat-row">
+        ${CHARACTERISTICS.map(c => statBox(capitalize(c), statValue(chars[c]))).join('')}
+      </div>
+      <div class="stat-row">
+        ${statBox('Soak', statValue(stats.soak))}
+        ${statBox('Wound Threshold', statValue(stats.wounds))}
+        ${stats.strain !== undefined ? statBox('Strain Threshold', statValue(stats.strain)) : ''}
+        ${stats.defense ? statBox('Defense M | R', `${statValue(defense.melee || 0)} | ${statValue(defense.ranged || 0)}`) : ''}
+      </div>
+      ${skills ? `<p class="stat-line"><strong>Skills:</strong> ${skills}</p>` : ''}
+      ${weaponTable(stats.weapons, { key: 'skill', label: 'Skill' })}
+      ${talents ? `<ul class="stat-talents">${talents}</ul>` : ''}
+    `;
+  }
+
+  function vehicleStatsHtml(stats) {
+    const defense = stats.defense || {};
+    return `
+      <div class="stat-row">
+        ${statBox('Silhouette', statValue(stats.silhouette))}
+        ${statBox('Speed', statValue(stats.speed))}
+        ${statBox('Handling', statValue(stats.handling, true))}
+        ${statBox('Armor', statValue(stats.armor))}
+        ${statBox('Hull Trauma', statValue(stats.hullTrauma))}
+        ${statBox('System Strain', statValue(stats.systemStrain))}
+      </div>
+      ${stats.defense ? `
+        <p class="stat-line"><strong>Defense:</strong>
+          Fore ${statValue(defense.fore || 0)} · Aft ${statValue(defense.aft || 0)} ·
+          Port ${statValue(defense.port || 0)} · Starboard ${statValue(defense.starboard || 0)}
+        </p>` : ''}
+      ${weaponTable(stats.weapons, { key: 'arc', label: 'Arc' })}
+    `;
+  }
+
+  const STAT_LAYOUTS = {
+    threats:  threatStatsHtml,
+    vehicles: vehicleStatsHtml
+  };
+
+  function renderStatBlock(entry) {
+    const layout = STAT_LAYOUTS[entry.category];
+    if (!layout || !entry.stats || typeof entry.stats !== 'object') return;
+
+    const kind = entry.stats.adversary ? ` · ${capitalize(entry.stats.adversary)}` : '';
+
+    const block = document.createElement('div');
+    block.className = 'entry-section stat-block';
+    if (isGM) block.classList.add('section-gm');
+    block.innerHTML = `
+      <div class="entry-section-header">
+        <h2>Stat Block${escapeHtml(kind)}</h2>
+        <span class="section-badge">${isGM ? 'GM Only' : 'Numbers known to the GM'}</span>
+      </div>
+      ${layout(entry.stats)}
+    `;
+    entryContent.appendChild(block);
+  }
+
+  /* ----------------- MISSION BRIEFINGS ----------------- */
+
+  const MISSION_PREFIX = 'sw_mission__';
+
+  const OBJECTIVE_GROUPS = [
+    { type: 'primary',  label: 'Primary Objectives' },
+    { type: 'optional', label: 'Optional Objectives' },
+    { type: 'secret',   label: 'Secret Objectives' }
+  ];
+
+  let briefingTicker = null; // interval redrawing the visible countdown
+
+  // secret objectives are revealed like sections, so they sync and export too
+  const objectiveUnlockId = (entry, objective) => `${entry.id}::objective:${objective.id}`;
+
+  function hasBriefing(entry) {
+    if (entry.category !== 'missions') return false;
+    return Boolean(entry.timeLimitMinutes) ||
+      ['objectives', 'phases', 'locations', 'npcs'].some(field => Array.isArray(entry[field]) && entry[field].length);
+  }
+
+  function emptyMissionProgress() {
+    return { done: [], phase: 0, timer: { elapsedMs: 0, startedAt: null } };
+  }
+
+  function loadMissionProgress(id) {
+    try {
+      const raw = campaignStore.getItem(`${MISSION_PREFIX}${id}`);
+      if (!raw) return emptyMissionProgress();
+      return Object.assign(emptyMissionProgress(), JSON.parse(raw));
+    } catch {
+      return emptyMissionProgress();
+    }
+  }
+
+  function saveMissionProgress(id, progress) {
+    try {
+      campaignStore.setItem(`${MISSION_PREFIX}${id}`, JSON.stringify(progress));
+    } catch {}
+    syncSend({ type: 'mission', id, progress });
+  }
+
+  // negative once the window has run out
+  function timerRemainingMs(entry, progress) {
+    const { elapsedMs, startedAt } = progress.timer;
+    const elapsed = elapsedMs + (startedAt ? Date.now() - startedAt : 0);
+    return entry.timeLimitMinutes * 60000 - elapsed;
+  }
+
+  function formatCountdown(ms) {
+    const total = Math.floor(Math.abs(ms) / 1000);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    const pad = n => String(n).padStart(2, '0');
+    return `${ms < 0 ? '-' : ''}${h ? `${h}:${pad(m)}` : m}:${pad(s)}`;
+  }
+
+  function isObjectiveRevealed(entry, objective) {
+    return objective.type !== 'secret' ||
+      campaignStore.getItem(lsKey(objectiveUnlockId(entry, objective))) === 'true';
+  }
+
+  function drawBriefingTimer(entry) {
+    const el = document.getElementById('briefingTimer');
+    if (!el) return false;
+    const progress  = loadMissionProgress(entry.id);
+    const remaining = timerRemainingMs(entry, progress);
+    el.textContent = formatCountdown(remaining);
+    el.classList.toggle('overtime', remaining < 0);
+    el.classList.toggle('running', Boolean(progress.timer.startedAt));
+    return true;
+  }
+
+  function startBriefingTicker(entry) {
+    clearInterval(briefingTicker);
+    briefingTicker = setInterval(() => {
+      // stop once the briefing has left the screen
+      if (!drawBriefingTimer(entry)) clearInterval(briefingTicker);
+    }, 1000);
+  }
+
+  function buildMissionBriefing(entry) {
+    const progress = loadMissionProgress(entry.id);
+    const done     = new Set(progress.done);
+    const phases   = Array.isArray(entry.phases) ? entry.phases : [];
+    const objectives = (Array.isArray(entry.objectives) ? entry.objectives : [])
+      .filter(obj => isGM || isObjectiveRevealed(entry, obj));
+
+    const block = document.createElement('div');
+    block.className = 'entry-section mission-briefing';
+
+    const update = () => {
+      saveMissionProgress(entry.id, progress);
+      block.replaceWith(buildMissionBriefing(entry));
+    };
+
+    // unrevealed secrets don't count towards progress, even for the GM
+    const counted   = objectives.filter(obj => isObjectiveRevealed(entry, obj));
+    const doneCount = counted.filter(obj => done.has(obj.id)).length;
+
+    block.innerHTML = `
+      <div class="entry-section-header">
+        <h2>Mission Briefing</h2>
+        <span class="section-badge">${doneCount}/${counted.length} objectives complete</span>
+      </div>
+      ${entry.timeLimitMinutes ? `
+        <div class="briefing-timer-row">
+          <span class="briefing-label">Window</span>
+          <span id="briefingTimer" class="briefing-timer"></span>
+          ${isGM ? `
+            <div class="destiny-controls">
+              <button data-timer="toggle">${progress.timer.startedAt ? 'Pause' : 'Start'}</button>
+              <button data-timer="reset">Reset</button>
+            </div>` : ''}
+        </div>` : ''}
+      ${phases.length ? `
+        <ol class="briefing-phases">
+          ${phases.map((phase, i) => `
+            <li class="${i === progress.phase ? 'current' : i < progress.phase ? 'past' : ''}">
+              <strong>${escapeHtml(phase.title)}</strong>${phase.summary ? ` – ${escapeHtml(phase.summary)}` : ''}
+            </li>`).join('')}
+        </ol>
+        ${isGM ? `
+          <div class="destiny-controls">
+            <button data-phase="-1">◀ Prev Phase</button>
+            <button data-phase="1">Next Phase ▶</button>
+          </div>` : ''}` : ''}
+      <div class="briefing-objectives"></div>
+      <div class="briefing-links"></div>
+    `;
+
+    // objectives, grouped by type
+    const objectivesEl = block.querySelector('.briefing-objectives');
+    for (const group of OBJECTIVE_GROUPS) {
+      const list = objectives.filter(obj => obj.type === group.type);
+      if (!list.length) continue;
+
+      const heading = document.createElement('h3');
+      heading.textContent = group.label;
+      objectivesEl.appendChild(heading);
+
+      for (const obj of list) {
+        const revealed = isObjectiveRevealed(entry, obj);
+
+        const row = document.createElement('label');
+        row.className = 'briefing-objective';
+        if (done.has(obj.id)) row.classList.add('done');
+        if (!revealed)        row.classList.add('section-hidden');
+
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked  = done.has(obj.id);
+        box.disabled = !isGM;
+        box.addEventListener('change', () => {
+          progress.done = box.checked
+            ? [...done, obj.id]
+            : progress.done.filter(id => id !== obj.id);
+          update();
+        });
+        row.appendChild(box);
+
+        const text = document.createElement('span');
+        text.textContent = obj.text;
+        row.appendChild(text);
+
+        if (isGM && obj.type === 'secret') {
+          const btn = document.createElement('button');
+          btn.className = 'unlock-btn ' + (revealed ? 'remove' : 'add');
+          btn.textContent = revealed ? 'Hide' : 'Reveal';
+          btn.title = revealed ? 'Hide from players' : 'Reveal to players';
+          btn.addEventListener('click', (ev) => {
+            ev.preventDefault();
+            setUnlocked(objectiveUnlockId(entry, obj), !revealed);
+            block.replaceWith(buildMissionBriefing(entry));
+          });
+          row.appendChild(btn);
+        }
+
+        objectivesEl.appendChild(row);
+      }
+    }
+
+    fillBriefingLinks(entry, block.querySelector('.briefing-links'));
+
+    block.querySelectorAll('[data-timer]').forEach(btn => btn.addEventListener('click', () => {
+      const timer = progress.timer;
+      if (btn.dataset.timer === 'reset') {
+        progress.timer = { elapsedMs: 0, startedAt: null };
+      } else if (timer.startedAt) {
+        timer.elapsedMs += Date.now() - timer.startedAt;
+        timer.startedAt = null;
+      } else {
+        timer.startedAt = Date.now();
+      }
+      update();
+    }));
+
+    block.querySelectorAll('[data-phase]').forEach(btn => btn.addEventListener('click', () => {
+      progress.phase = Math.max(0, Math.min(phases.length - 1, progress.phase + Number(btn.dataset.phase)));
+      update();
+    }));
+
+    if (entry.timeLimitMinutes) {
+      // the timer element only exists once the block is in the document
+      requestAnimationFrame(() => drawBriefingTimer(entry));
+      startBriefingTicker(entry);
+    }
+
+    return block;
+  }
+
+  // locations and NPCs: codex links where they point at an entry the viewer may see
+  async function fillBriefingLinks(entry, container) {
+    const groups = [['Locations', entry.locations], ['NPCs', entry.npcs]]
+      .filter(([, list]) => Array.isArray(list) && list.length);
+    if (!groups.length) return;
+
+    const all = await loadAllEntries();
+
+    for (const [label, list] of groups) {
+      const row = document.createElement('div');
+      row.className = 'briefing-link-row';
+
+      const title = document.createElement('span');
+      title.className = 'briefing-label';
+      title.textContent = label;
+      row.appendChild(title);
+
+      for (const ref of list) {
+        const target = ref.id
+          ? all.find(e => e.id === ref.id && (!ref.category || e.category === ref.category))
+          : null;
+        const name = ref.name || (target && isVisible(target) ? target.name : null);
+        if (!name) continue;
+
+        const chip = document.createElement(target && isVisible(target) ? 'button' : 'span');
+        chip.className = 'related-chip';
+        chip.textContent = ref.role ? `${name} (${ref.role})` : name;
+        if (chip.tagName === 'BUTTON') chip.addEventListener('click', () => openEntry(target));
+        row.appendChild(chip);
+      }
+
+      if (row.childElementCount > 1) container.appendChild(row);
+    }
+  }
+
+  function renderMissionBriefing(entry) {
+    if (!hasBriefing(entry)) return;
+    entryContent.appendChild(buildMissionBriefing(entry));
+  }
+
+  /* ----------------- FIELD NOTES PANEL ----------------- */
+
+  function renderNotesPanel(entry) {
+    const notes = sortNotes(loadNotes(entry.id));
+
+    const section = document.createElement('div');
+    section.className = 'notes-section';
+
+    const header = document.createElement('div');
+    header.className = 'notes-header';
+    header.textContent = 'Field Notes (Local Device)';
+    section.appendChild(header);
+
+    const inputWrap = document.createElement('div');
+    inputWrap.className = 'notes-input-wrap';
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'notes-input';
+    textarea.rows = 3;
+    textarea.placeholder = 'Record observations, suspicions, or reminders about this entry...';
+    inputWrap.appendChild(textarea);
+
+    const controls = document.createElement('div');
+    controls.className = 'notes-controls';
+
+    const addBtn = document.createElement('button');
+    addBtn.className = 'notes-btn';
+    addBtn.textContent = 'Add Note';
+
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'notes-btn notes-btn-secondary';
+    clearBtn.textContent = 'Clear Log';
+
+    controls.appendChild(addBtn);
+    controls.appendChild(clearBtn);
+    inputWrap.appendChild(controls);
+
+    section.appendChild(inputWrap);
+
+    const listContainer = document.createElement('div');
+    listContainer.className = 'notes-log';
+    section.appendChild(listContainer);
+
+    entryContent.appendChild(section);
+
+    function renderLog() {
+      listContainer.innerHTML = '';
+
+      if (!notes.length) {
+        const empty = document.createElement('div');
+        empty.className = 'notes-empty';
+        empty.textContent = 'No notes recorded yet.';
+        listContainer.appendChild(empty);
+        return;
+      }
+
+      notes.forEach(note => {
+        const row = document.createElement('div');
+        row.className = 'note-entry' + (note.pinned ? ' pinned' : '');
+
+        const meta = document.createElement('div');
+        meta.className = 'note-meta';
+        meta.textContent = (note.pinned ? 'Pinned · ' : '') + formatNoteTime(note.ts) +
+          (note.editedAt ? ` (edited ${formatNoteTime(note.editedAt)})` : '');
+
+        const body = document.createElement('div');
+        body.className = 'note-body';
+        body.textContent = note.text || '';
+
+        row.appendChild(meta);
+        row.appendChild(body);
+        row.appendChild(noteActions(note, body));
+
+        listContainer.appendChild(row);
+      });
+    }
+
+    function noteActions(note, body) {
+      const actions = document.createElement('div');
+      actions.className = 'note-actions';
+
+      const addAction = (label, handler) => {
+        const btn = document.createElement('button');
+        btn.className = 'notes-btn notes-btn-secondary';
+        btn.textContent = label;
+        btn.addEventListener('click', handler);
+        actions.appendChild(btn);
+      };
+
+      addAction(note.pinned ? 'Unpin' : 'Pin', () => {
+        note.pinned = !note.pinned;
+        if (!note.pinned) delete note.pinned;
+        saveNotes(entry.id, sortNotes(notes));
+        renderLog();
+      });
+
+      addAction('Edit', () => {
+        const editor = document.createElement('textarea');
+        editor.className = 'notes-input';
+        editor.rows = 3;
+        editor.value = note.text || '';
+        body.replaceWith(editor);
+        editor.focus();
+
+        actions.innerHTML = '';
+        addAction('Save', () => {
+          const text = editor.value.trim();
+          if (!text) return;
+          note.text = text;
+          note.editedAt = new Date().toISOString();
+          saveNotes(entry.id, notes);
+          renderLog();
+        });
+        addAction('Cancel', renderLog);
+      });
+
+      addAction('Delete', () => {
+        if (!confirm('Delete this note?')) return;
+        notes.splice(notes.indexOf(note), 1);
+        saveNotes(entry.id, notes);
+        renderLog();
+      });
+
+      return actions;
+    }
 
     addBtn.addEventListener('click', () => {
       const text = textarea.value.trim();
       if (!text) return;
 
-      const now = new Date();
-      const note = {
-        ts: now.toISOString(),
-        text
-      };
+      const now = new Date();
+      const note = {
+        ts: now.toISOString(),
+        text
+      };
+
+      notes.unshift(note);
+      saveNotes(entry.id, sortNotes(notes));
+      textarea.value = '';
+      renderLog();
+    });
+
+    clearBtn.addEventListener('click', () => {
+      if (!notes.length) return;
+      const confirmClear = confirm('Clear all notes for this entry on this device?');
+      if (!confirmClear) return;
+      notes.length = 0;
+      saveNotes(entry.id, notes);
+      renderLog();
+    });
+
+    renderLog();
+  }
+
+  /* ----------------- GM ANNOTATIONS & HANDOUTS ----------------- */
+
+  // GM-authored notes on any entry (sw_annotations__<entry id>), each with an
+  // optional handout (text and / or image) for the players:
+  //   [{ id, ts, title, text, handoutText?, handoutImage? }]
+  // They stay GM-only until revealed through the unlock store, like sections;
+  // player datapads on table sync receive only the revealed ones.
+  const ANNOTATIONS_PREFIX = 'sw_annotations__';
+  const HANDOUT_IMAGE_MAX_BYTES = 1024 * 1024; // uploads are kept in localStorage
+
+  function loadAnnotations(entryId) {
+    const list = readJsonKey(`${ANNOTATIONS_PREFIX}${entryId}`, []);
+    return Array.isArray(list) ? list.filter(a => a && a.id) : [];
+  }
+
+  // false when storage is full (handout images can be large)
+  function saveAnnotations(entryId, list) {
+    try {
+      if (list.length) campaignStore.setItem(`${ANNOTATIONS_PREFIX}${entryId}`, JSON.stringify(list));
+      else campaignStore.removeItem(`${ANNOTATIONS_PREFIX}${entryId}`);
+      return true;
+    } catch {
+      alert('Could not save the annotation: storage on this device is full. Use a smaller handout image or an image path instead.');
+      return false;
+    }
+  }
+
+  const annotationUnlockId = (entryId, annotation) => `${entryId}::annotation:${annotation.id}`;
+
+  function isAnnotationRevealed(entryId, annotation) {
+    return campaignStore.getItem(lsKey(annotationUnlockId(entryId, annotation))) === 'true';
+  }
+
+  function revealedAnnotations(entryId) {
+    return loadAnnotations(entryId).filter(a => isAnnotationRevealed(entryId, a));
+  }
+
+  // { entryId: [revealed annotations] } for the sync snapshot
+  function revealedAnnotationsByEntry() {
+    const out = {};
+    for (const key of campaignStore.keys(ANNOTATIONS_PREFIX)) {
+      const entryId = key.slice(ANNOTATIONS_PREFIX.length);
+      const list = revealedAnnotations(entryId);
+      if (list.length) out[entryId] = list;
+    }
+    return out;
+  }
+
+  function sendRevealedAnnotations(entryId) {
+    syncSend({ type: 'annotations', entryId, list: revealedAnnotations(entryId) });
+  }
+
+  function annotationBlock(entry, annotation) {
+    const revealed = isAnnotationRevealed(entry.id, annotation);
+
+    const block = document.createElement('div');
+    block.className = 'entry-section annotation';
+    if (!revealed) block.classList.add('section-gm');
+
+    const header = document.createElement('div');
+    header.className = 'entry-section-header';
+
+    const heading = document.createElement('h2');
+    heading.textContent = annotation.title || 'Handout';
+    header.appendChild(heading);
+
+    if (isGM) {
+      const badge = document.createElement('span');
+      badge.className = 'section-badge';
+      badge.textContent = revealed ? 'Revealed' : 'GM Only';
+      header.appendChild(badge);
+
+      const btn = document.createElement('button');
+      btn.className = 'unlock-btn ' + (revealed ? 'remove' : 'add');
+      btn.textContent = revealed ? 'Remove' : 'Add';
+      btn.title = revealed ? 'Remove from player view' : 'Add to player view';
+      btn.addEventListener('click', () => {
+        setUnlocked(annotationUnlockId(entry.id, annotation), !revealed);
+        sendRevealedAnnotations(entry.id);
+        renderEntryDetail(entry);
+      });
+      header.appendChild(btn);
+
+      const del = document.createElement('button');
+      del.className = 'notes-btn notes-btn-secondary';
+      del.textContent = 'Delete';
+      del.addEventListener('click', () => {
+        if (!confirm(`Delete the annotation "${annotation.title || 'Handout'}"?`)) return;
+        if (revealed) setUnlocked(annotationUnlockId(entry.id, annotation), false);
+        saveAnnotations(entry.id, loadAnnotations(entry.id).filter(a => a.id !== annotation.id));
+        sendRevealedAnnotations(entry.id);
+        renderEntryDetail(entry);
+      });
+      header.appendChild(del);
+    }
+    block.appendChild(header);
+
+    if (annotation.text) block.appendChild(renderMarkup(annotation.text));
+
+    if (annotation.handoutText || annotation.handoutImage) {
+      const handout = document.createElement('div');
+      handout.className = 'handout';
+      if (annotation.handoutImage) {
+        const img = document.createElement('img');
+        img.src = annotation.handoutImage;
+        img.alt = annotation.title || 'Handout';
+        handout.appendChild(img);
+      }
+      if (annotation.handoutText) {
+        const text = document.createElement('div');
+        text.className = 'handout-text';
+        text.textContent = annotation.handoutText;
+        handout.appendChild(text);
+      }
+      block.appendChild(handout);
+    }
+    return block;
+  }
+
+  function renderAnnotationsPanel(entry) {
+    const annotations = isGM ? loadAnnotations(entry.id) : revealedAnnotations(entry.id);
+    if (!isGM && !annotations.length) return;
+
+    const section = document.createElement('div');
+    section.className = 'notes-section annotations-section';
+
+    const header = document.createElement('div');
+    header.className = 'notes-header';
+    header.textContent = isGM ? 'GM Annotations & Handouts' : 'Handouts';
+    section.appendChild(header);
+
+    annotations.forEach(a => section.appendChild(annotationBlock(entry, a)));
+
+    if (isGM) section.appendChild(annotationForm(entry));
+    entryContent.appendChild(section);
+  }
+
+  function annotationForm(entry) {
+    const form = document.createElement('form');
+    form.className = 'annotation-form';
+    form.innerHTML = `
+      <input type="text" name="title" class="campaign-input" placeholder="Title (e.g. Intercepted transmission)" maxlength="80">
+      <textarea name="text" class="notes-input" rows="3" placeholder="GM annotation; supports description markup and [[category/id]] links"></textarea>
+      <textarea name="handoutText" class="notes-input" rows="3" placeholder="Handout text shown to players (optional)"></textarea>
+      <div class="annotation-image">
+        <input type="text" name="handoutImage" class="campaign-input" placeholder="Handout image path or URL (optional)">
+        <input type="file" name="handoutFile" accept="image/*" title="Or attach an image file">
+      </div>
+      <button type="submit" class="notes-btn">Add Annotation</button>
+    `;
+
+    form.addEventListener('submit', async (ev) => {
+      ev.preventDefault();
+      const field = name => form.elements[name].value.trim();
+      const file = form.elements.handoutFile.files[0];
+
+      let handoutImage = field('handoutImage');
+      if (file) {
+        if (file.size > HANDOUT_IMAGE_MAX_BYTES) {
+          alert('That image is over 1 MB; use a smaller file or an image path instead.');
+          return;
+        }
+        try {
+          handoutImage = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload  = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+          });
+        } catch (err) {
+          alert(`Could not read that image${err && err.message ? ` (${err.message})` : ''}; try another file or an image path instead.`);
+          return;
+        }
+      }
+
+      const annotation = {
+        id:    Date.now().toString(36),
+        ts:    new Date().toISOString(),
+        title: field('title'),
+        text:  field('text')
+      };
+      if (field('handoutText')) annotation.handoutText = field('handoutText');
+      if (handoutImage) annotation.handoutImage = handoutImage;
+      if (!annotation.title && !annotation.text && !annotation.handoutText && !handoutImage) return;
+
+      // keep the form filled in when the save fails
+      if (!saveAnnotations(entry.id, loadAnnotations(entry.id).concat(annotation))) return;
+      renderEntryDetail(entry);
+    });
+    return form;
+  }
+
+  /* ----------------- MY NOTES ----------------- */
+
+  let notesQuery = ''; // text filter of the My Notes view
+
+  // every entry with notes in the active campaign, grouped by category:
+  // [{ category, items: [{ entryId, entry, notes }] }], unknown entries last
+  function collectAllNotes(allEntries) {
+    const byCategory = new Map(categories.map(cat => [cat, []]));
+    const unknown = [];
+
+    for (const key of campaignStore.keys(NOTES_PREFIX)) {
+      const entryId = key.slice(NOTES_PREFIX.length);
+      const notes = sortNotes(loadNotes(entryId));
+      if (!notes.length) continue;
+      const entry = allEntries.find(e => e.id === entryId) || null;
+      const item = { entryId, entry, notes };
+      if (entry && byCategory.has(entry.category)) byCategory.get(entry.category).push(item);
+      else unknown.push(item);
+    }
+
+    const groups = [...byCategory.entries()]
+      .map(([category, items]) => ({ category, items }))
+      .filter(g => g.items.length);
+    if (unknown.length) groups.push({ category: null, items: unknown });
+
+    const itemName = item => item.entry ? item.entry.name : item.entryId;
+    groups.forEach(g => g.items.sort((a, b) => itemName(a).localeCompare(itemName(b))));
+    return groups;
+  }
+
+  const categoryTitle = category => category ? capitalize(category) : 'Other Entries';
+
+  function notesMarkdown(groups) {
+    const lines = [`# Field Notes – ${activeCampaign().name}`, ''];
+    for (const group of groups) {
+      lines.push(`## ${categoryTitle(group.category)}`, '');
+      for (const item of group.items) {
+        lines.push(`### ${item.entry ? item.entry.name : item.entryId}`, '');
+        for (const note of item.notes) {
+          const text = String(note.text || '').replace(/\n/g, '\n  ');
+          lines.push(`- **${formatNoteTime(note.ts)}**${note.pinned ? ' (pinned)' : ''}: ${text}`);
+        }
+        lines.push('');
+      }
+    }
+    return lines.join('\n');
+  }
+
+  async function renderMyNotesView() {
+    enterToolView('notes');
+
+    const allEntries = await loadAllEntries();
+    if (activeTool !== 'notes') return; // navigated away while loading
+
+    const groups = collectAllNotes(allEntries);
+    const total = groups.reduce((sum, g) => sum + g.items.reduce((n, item) => n + item.notes.length, 0), 0);
+    const entryCount = groups.reduce((sum, g) => sum + g.items.length, 0);
+
+    entryContent.innerHTML = `
+      <h1>My Notes</h1>
+      <p style="font-size:13px; margin-bottom:10px; opacity:0.85;">
+        ${plural(total, 'note', 'notes')} on ${plural(entryCount, 'entry', 'entries')} in <strong>${escapeHtml(activeCampaign().name)}</strong>, stored on this device.
+      </p>
+      <div class="campaign-form" style="margin-bottom:10px;">
+        <input type="text" id="myNotesSearch" class="campaign-input" placeholder="Search notes..." value="${escapeHtml(notesQuery)}">
+        <button id="myNotesExportBtn" class="data-btn"${total ? '' : ' disabled'}>Export Markdown</button>
+      </div>
+      <div id="myNotesList"></div>
+    `;
+
+    const listEl = document.getElementById('myNotesList');
+
+    function draw() {
+      listEl.innerHTML = '';
+      const q = notesQuery.trim().toLowerCase();
+      const hit = text => String(text || '').toLowerCase().includes(q);
+
+      for (const group of groups) {
+        const items = group.items
+          .map(item => {
+            const nameHit = !q || hit(item.entry ? item.entry.name : item.entryId);
+            return { item, notes: nameHit ? item.notes : item.notes.filter(n => hit(n.text)) };
+          })
+          .filter(({ notes }) => notes.length);
+        if (!items.length) continue;
+
+        const heading = document.createElement('h2');
+        heading.className = 'my-notes-category';
+        heading.textContent = categoryTitle(group.category);
+        listEl.appendChild(heading);
+
+        for (const { item, notes } of items) {
+          const block = document.createElement('div');
+          block.className = 'data-panel my-notes-entry';
+
+          const title = document.createElement('button');
+          title.className = 'entry-link my-notes-title';
+          title.textContent = item.entry ? item.entry.name : item.entryId;
+          if (item.entry && isVisible(item.entry)) {
+            title.title = 'Open entry';
+            title.addEventListener('click', () => openEntry(item.entry));
+          } else {
+            title.disabled = true;
+          }
+          block.appendChild(title);
+
+          for (const note of notes) {
+            const row = document.createElement('div');
+            row.className = 'note-entry' + (note.pinned ? ' pinned' : '');
+            const meta = document.createElement('div');
+            meta.className = 'note-meta';
+            meta.textContent = (note.pinned ? 'Pinned · ' : '') + formatNoteTime(note.ts);
+            const body = document.createElement('div');
+            body.className = 'note-body';
+            body.textContent = note.text || '';
+            row.appendChild(meta);
+            row.appendChild(body);
+            block.appendChild(row);
+          }
+          listEl.appendChild(block);
+        }
+      }
+
+      if (!listEl.childElementCount) {
+        listEl.textContent = total ? 'No notes match this search.' : 'No notes recorded yet. Add them from any entry\'s Field Notes.';
+      }
+    }
+
+    document.getElementById('myNotesSearch').addEventListener('input', (ev) => {
+      notesQuery = ev.target.value;
+      draw();
+    });
+
+    document.getElementById('myNotesExportBtn').addEventListener('click', () => {
+      const slug = slugify(activeCampaign().name) || 'campaign';
+      const date = new Date().toISOString().slice(0, 10);
+      downloadFile(`sw-codex-notes-${slug}-${date}.md`, notesMarkdown(groups), 'text/markdown');
+    });
+
+    draw();
+    updateBreadcrumbs();
+  }
+
+  /* ----------------- RELATED ENTRIES ----------------- */
+
+  // the entry a `related` reference points at, if it exists
+  function resolveRelated(ref, allEntries) {
+    if (!ref || !ref.id) return null;
+    return allEntries.find(e => e.id === ref.id && (!ref.category || e.category === ref.category)) || null;
+  }
+
+  function relatedTargets(entry, allEntries) {
+    if (!Array.isArray(entry.related)) return [];
+    return entry.related.map(ref => resolveRelated(ref, allEntries)).filter(Boolean);
+  }
+
+  // entries whose `related` list points back at `entry`
+  function backlinksFor(entry, allEntries) {
+    return allEntries.filter(other =>
+      other !== entry && relatedTargets(other, allEntries).includes(entry));
+  }
+
+  function relatedChip(target) {
+    const chip = document.createElement('button');
+    chip.className = 'related-chip';
+    const catLabel = target.category
+      ? target.category.charAt(0).toUpperCase() + target.category.slice(1)
+      : 'Entry';
+    chip.textContent = `${target.name} (${catLabel})`;
+
+    chip.addEventListener('click', () => {
+      activeTool = null;
+      searchMode = false;
+      openEntry(target);
+    });
+    return chip;
+  }
+
+  // chip row under a label; null when nothing in it is visible
+  function relatedBlock(labelText, targets) {
+    const visible = targets.filter(isVisible); // respects GM locks / unlocks
+    if (!visible.length) return null;
+
+    const container = document.createElement('div');
+    container.className = 'related-section';
+
+    const label = document.createElement('div');
+    label.className = 'related-label';
+    label.textContent = labelText;
+    container.appendChild(label);
+
+    const list = document.createElement('div');
+    list.className = 'related-list';
+    visible.forEach(target => list.appendChild(relatedChip(target)));
+    container.appendChild(list);
+
+    return container;
+  }
+
+  async function buildRelatedSection(entry) {
+    const currentId = entry.id;
+
+    // Load all entries once so we can resolve references both ways
+    const allEntries = await loadAllEntries();
+
+    const related    = relatedBlock('Related Entries', relatedTargets(entry, allEntries));
+    const backlinks  = relatedBlock('Referenced by', backlinksFor(entry, allEntries));
+
+    // Avoid race condition: only append if we're still viewing this entry
+    if (!activeEntry || activeEntry.id !== currentId) return;
+
+    if (related)   entryContent.appendChild(related);
+    if (backlinks) entryContent.appendChild(backlinks);
+  }
+
+  /* ----------------- SEARCH INDEX ----------------- */
+
+  // Field weights: a name hit always outranks a tag hit, which outranks
+  // a description hit. Exact token > prefix > typo match within a field.
+  const SEARCH_WEIGHTS = { name: 100, tags: 30, category: 10, description: 5 };
+  const MATCH_QUALITY  = { exact: 1, prefix: 0.8, fuzzy: 0.6 };
+
+  // { category: [doc, ...] } — built once per loaded category
+  const searchDocs = {};
+
+  function tokenize(text) {
+    return (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  function buildSearchDoc(entry) {
+    const tags = entryTags(entry);
+    const description = plainText(entry.description);
+    return {
+      entry,
+      text: {
+        name:        (entry.name || '').toLowerCase(),
+        tags:        tags.join(' ').toLowerCase(),
+        category:    (entry.category || '').toLowerCase(),
+        description: description.toLowerCase()
+      },
+      tokens: {
+        name:        new Set(tokenize(entry.name)),
+        tags:        new Set(tokenize(tags.join(' '))),
+        category:    new Set(tokenize(entry.category)),
+        description: new Set(tokenize(description))
+      },
+      tagsLower: tags.map(t => t.toLowerCase()),
+      // section text is matched only while the viewer can see that section
+      sections: entrySections(entry).map(section => {
+        const text = `${section.title || ''} ${plainText(section.body)}`;
+        return { section, text: text.toLowerCase(), tokens: new Set(tokenize(text)) };
+      })
+    };
+  }
+
+  // per-viewer fields: the static ones plus whatever sections are visible
+  function searchFields(doc) {
+    const fields = Object.keys(SEARCH_WEIGHTS).map(field => ({
+      weight: SEARCH_WEIGHTS[field],
+      text:   doc.text[field],
+      tokens: doc.tokens[field]
+    }));
+    for (const s of doc.sections) {
+      if (!isSectionVisible(doc.entry, s.section)) continue;
+      fields.push({ weight: SEARCH_WEIGHTS.description, text: s.text, tokens: s.tokens });
+    }
+    return fields;
+  }
+
+  async function loadSearchDocs(cats) {
+    const docs = [];
+    for (const cat of cats) {
+      if (!searchDocs[cat]) {
+        const entries = await loadCategoryEntries(cat);
+        searchDocs[cat] = entries.map(buildSearchDoc);
+      }
+      docs.push(...searchDocs[cat]);
+    }
+    return docs;
+  }
+
+  // Levenshtein distance, giving up early once it exceeds `max`
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+        if (cur[j] < rowMin) rowMin = cur[j];
+      }
+      if (rowMin > max) return max + 1;
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  function typoAllowance(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 5) return 1;
+    return 0;
+  }
+
+  // best { quality, token } for one term against a token set, or null
+  function matchTerm(term, tokens) {
+    if (tokens.has(term)) return { quality: MATCH_QUALITY.exact, token: term };
+
+    let best = null;
+    const allowance = typoAllowance(term);
+    for (const token of tokens) {
+      if (token.startsWith(term) && term.length >= 2) {
+        if (!best || best.quality < MATCH_QUALITY.prefix) {
+          best = { quality: MATCH_QUALITY.prefix, token };
+        }
+      } else if (allowance && !best && editDistance(term, token, allowance) <= allowance) {
+        best = { quality: MATCH_QUALITY.fuzzy, token };
+      }
+    }
+    return best;
+  }
+
+  // "quoted phrases", category:x, tag:x / tag:"two words", plain terms
+  function parseSearchQuery(raw) {
+    const query = { terms: [], phrases: [], categories: [], tags: [] };
+    const re = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+    let m;
+    while ((m = re.exec(raw))) {
+      const key   = (m[1] || m[3] || '').toLowerCase();
+      const value = (m[2] || m[4] || '').toLowerCase().trim();
+
+      if (key === 'category' || key === 'cat') {
+        if (value) query.categories.push(value);
+      } else if (key === 'tag') {
+        if (value) query.tags.push(value);
+      } else if (m[5] !== undefined) {
+        const phrase = m[5].toLowerCase().trim();
+        if (phrase) query.phrases.push(phrase);
+      } else {
+        query.terms.push(...tokenize(m[0]));
+      }
+    }
+    return query;
+  }
+
+  function scoreDoc(doc, query) {
+    if (query.categories.length &&
+        !query.categories.some(c => doc.entry.category.startsWith(c))) return null;
+    if (!query.tags.every(t => doc.tagsLower.some(tag => tag.includes(t)))) return null;
+
+    let score = 0;
+    const words = [...query.phrases];
+    const fields = searchFields(doc);
+
+    for (const phrase of query.phrases) {
+      let best = 0;
+      for (const field of fields) {
+        if (field.text.includes(phrase)) best = Math.max(best, field.weight);
+      }
+      if (!best) return null;
+      score += best;
+    }
+
+    for (const term of query.terms) {
+      let best = 0;
+      let token = null;
+      for (const field of fields) {
+        const hit = matchTerm(term, field.tokens);
+        if (hit && hit.quality * field.weight > best) {
+          best  = hit.quality * field.weight;
+          token = hit.token;
+        }
+      }
+      if (!best) return null; // every term has to match somewhere
+      score += best;
+      words.push(token);
+    }
+
+    return { entry: doc.entry, score, words };
+  }
+
+  // ranked [{ entry, score, words }] for visible entries in `cats`
+  async function searchEntries(raw, cats = categories) {
+    const query = parseSearchQuery(raw);
+    const docs = await loadSearchDocs(cats);
+
+    const hits = [];
+    for (const doc of docs) {
+      if (!isVisible(doc.entry)) continue;
+      const hit = scoreDoc(doc, query);
+      if (hit) hits.push(hit);
+    }
+    // stable sort keeps manifest order among equal scores
+    return hits.sort((a, b) => b.score - a.score);
+  }
+
+  /* ----------------- SEARCH HIGHLIGHTING ----------------- */
+
+  function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // append `text` to `parent`, wrapping occurrences of `words` in <mark>
+  function appendHighlighted(parent, text, words) {
+    const list = words.filter(Boolean);
+    if (!list.length) {
+      parent.appendChild(document.createTextNode(text));
+      return;
+    }
+    const re = new RegExp(`(${list.map(escapeRegExp).join('|')})`, 'gi');
+    text.split(re).forEach((part, i) => {
+      if (!part) return;
+      if (i % 2) {
+        const mark = document.createElement('mark');
+        mark.textContent = part;
+        parent.appendChild(mark);
+      } else {
+        parent.appendChild(document.createTextNode(part));
+      }
+    });
+  }
+
+  // ~160 chars of description around the first matched word
+  function buildSnippet(text, words) {
+    const source = (text || '').replace(/\s+/g, ' ').trim();
+    if (!source) return '';
+
+    const lower = source.toLowerCase();
+    let at = -1;
+    for (const w of words) {
+      const i = lower.indexOf(w);
+      if (i !== -1 && (at === -1 || i < at)) at = i;
+    }
+    if (at === -1) at = 0;
+
+    const start = Math.max(0, at - 60);
+    const end   = Math.min(source.length, start + 160);
+    return (start > 0 ? '…' : '') + source.slice(start, end) + (end < source.length ? '…' : '');
+  }
+
+  // result button: highlighted label plus description snippet when searching
+  function fillSearchResultTitle(btn, label, entry, words) {
+    btn.textContent = '';
+    appendHighlighted(btn, label, words);
+    if (!words.length) return;
+
+    const snippet = document.createElement('span');
+    snippet.className = 'search-snippet';
+    appendHighlighted(snippet, buildSnippet(plainText(entry.description), words), words);
+    btn.appendChild(snippet);
+  }
+
+  /* ----------------- GLOBAL SEARCH ----------------- */
+
+  async function renderGlobalSearchResults() {
+    entryContent.innerHTML = '';
+    activeTool     = null;
+    activeCategory = null;
+    activeEntry    = null;
+    searchMode     = true;
+    tagMode        = false;
+
+    const q = (searchInput.value || '').trim();
+
+    if (!q) {
+      entryContent.innerHTML = `<h1>Rebel Alliance Field Codex</h1>
+        <p>Type in the search box or choose a category on the left to begin.</p>`;
+      updateBreadcrumbs();
+      return;
+    }
+
+    const hits = await searchEntries(q);
+
+    // Avoid race condition: only render if this is still the latest search
+    if (!searchMode || activeCategory || (searchInput.value || '').trim() !== q) return;
+    entryContent.innerHTML = '';
+
+    const list = document.createElement('div');
+
+    for (const { entry, words } of hits) {
+      const row = document.createElement('div');
+      row.className = 'entry-row';
+
+      const titleBtn = document.createElement('button');
+      titleBtn.className = 'entry-title ' + (isUnlocked(entry) ? 'unlocked' : 'gm-locked');
+      fillSearchResultTitle(titleBtn, `[${entry.category}] ${entry.name}`, entry, words);
+
+      titleBtn.addEventListener('click', () => {
+        activeCategory = entry.category;
+        activeEntry    = entry;
+        searchMode     = false;
+        renderEntryDetail(entry);
+      });
+
+      row.appendChild(titleBtn);
+      appendOverlayBadges(row, entry);
+      list.appendChild(row);
+    }
+
+    if (!hits.length) {
+      const msg = document.createElement('p');
+      msg.textContent = isGM
+        ? 'No entries match this search.'
+        : 'No visible entries match this search.';
+      entryContent.appendChild(msg);
+    } else {
+      entryContent.appendChild(list);
+    }
+
+    updateBreadcrumbs();
+  }
+
+  async function handleSearchInput() {
+    // Ignore search while in GM tool panel
+    if (activeTool) return;
+
+    // Typing from a tag view starts a global search
+    if (tagMode) setActiveNav(null);
+
+    if (activeCategory) {
+      await renderListForActiveCategory();
+    } else {
+      await renderGlobalSearchResults();
+    }
+  }
+
+  /* ----------------- TAGS ----------------- */
+
+  function entryTags(entry) {
+    return Array.isArray(entry.tags)
+      ? entry.tags.filter(t => typeof t === 'string' && t.trim())
+      : [];
+  }
+
+  function hasAllTags(entry, tags) {
+    const own = entryTags(entry);
+    for (const t of tags) {
+      if (!own.includes(t)) return false;
+    }
+    return true;
+  }
+
+  // facets are remembered per category; switching category starts clean
+  function facetsFor(category) {
+    if (activeFacets.category !== category) {
+      activeFacets = { category, tags: new Set() };
+    }
+    return activeFacets.tags;
+  }
+
+  // { tag: count } over the given entries, sorted by tag name
+  function countTags(entries) {
+    const counts = new Map();
+    for (const entry of entries) {
+      for (const t of entryTags(entry)) counts.set(t, (counts.get(t) || 0) + 1);
+    }
+    return [...counts.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+  }
+
+  function buildTagChips(tags) {
+    if (!tags.length) return null;
+
+    const wrap = document.createElement('div');
+    wrap.className = 'tag-list';
+
+    for (const tag of tags) {
+      const chip = document.createElement('button');
+      chip.className = 'tag-chip';
+      chip.textContent = tag;
+      chip.addEventListener('click', () => renderTagView(tag));
+      wrap.appendChild(chip);
+    }
+    return wrap;
+  }
+
+  function renderFacetBar(visibleEntries, facets) {
+    const counts = countTags(visibleEntries);
+    if (!counts.length) return;
+
+    const bar = document.createElement('div');
+    bar.className = 'facet-bar';
+
+    for (const [tag, count] of counts) {
+      const chip = document.createElement('button');
+      chip.className = 'tag-chip facet-chip';
+      if (facets.has(tag)) chip.classList.add('active');
+      chip.textContent = `${tag} (${count})`;
+      chip.addEventListener('click', () => {
+        if (facets.has(tag)) facets.delete(tag);
+        else                 facets.add(tag);
+        renderListForActiveCategory();
+      });
+      bar.appendChild(chip);
+    }
+
+    if (facets.size) {
+      const clear = document.createElement('button');
+      clear.className = 'tag-chip facet-clear';
+      clear.textContent = 'Clear';
+      clear.addEventListener('click', () => {
+        facets.clear();
+        renderListForActiveCategory();
+      });
+      bar.appendChild(clear);
+    }
+
+    entryContent.appendChild(bar);
+  }
+
+  // tag === null → index of every visible tag; otherwise entries carrying it
+  async function renderTagView(tag) {
+    entryContent.innerHTML = '';
+    activeTool     = null;
+    activeCategory = null;
+    activeEntry    = null;
+    searchMode     = false;
+    tagMode        = true;
+    activeTag      = tag || null;
+
+    categoryBtns.forEach(b => b.classList.toggle('active', b === tagsBtn));
+
+    const visibleEntries = (await loadAllEntries()).filter(isVisible);
+
+    // Avoid race condition: a newer view may have replaced this one
+    if (!tagMode || activeTag !== (tag || null)) return;
+
+    const title = document.createElement('h1');
+    title.textContent = tag ? `Tag: ${tag}` : 'Tag Index';
+    entryContent.appendChild(title);
+
+    if (!tag) {
+      const counts = countTags(visibleEntries);
+      if (!counts.length) {
+        const msg = document.createElement('p');
+        msg.textContent = 'No tagged entries available.';
+        entryContent.appendChild(msg);
+      } else {
+        const wrap = document.createElement('div');
+        wrap.className = 'tag-list';
+        for (const [t, count] of counts) {
+          const chip = document.createElement('button');
+          chip.className = 'tag-chip';
+          chip.textContent = `${t} (${count})`;
+          chip.addEventListener('click', () => renderTagView(t));
+          wrap.appendChild(chip);
+        }
+        entryContent.appendChild(wrap);
+      }
+      updateBreadcrumbs();
+      return;
+    }
+
+    const matches = visibleEntries.filter(e => entryTags(e).includes(tag));
+    const list = document.createElement('div');
+
+    for (const entry of matches) {
+      const row = document.createElement('div');
+      row.className = 'entry-row';
+
+      const titleBtn = document.createElement('button');
+      titleBtn.className = 'entry-title ' + (isUnlocked(entry) ? 'unlocked' : 'gm-locked');
+      titleBtn.textContent = `[${entry.category}] ${entry.name}`;
+      titleBtn.addEventListener('click', () => {
+        setActiveNav(document.querySelector(`.category-btn[data-category="${entry.category}"]`));
+        activeCategory = entry.category;
+        activeEntry    = entry;
+        renderEntryDetail(entry);
+      });
+
+      row.appendChild(titleBtn);
+      appendOverlayBadges(row, entry);
+      list.appendChild(row);
+    }
+
+    if (!matches.length) {
+      const msg = document.createElement('p');
+      msg.textContent = isGM
+        ? 'No entries carry this tag.'
+        : 'No visible entries carry this tag.';
+      entryContent.appendChild(msg);
+    } else {
+      entryContent.appendChild(list);
+    }
+
+    updateBreadcrumbs();
+  }
+
+  /* ----------------- DESTINY POOL STORAGE HELPERS ----------------- */
+
+  function loadDestinyState() {
+    try {
+      const raw = campaignStore.getItem(DESTINY_STATE_KEY);
+      if (!raw) return { light: 0, dark: 0 };
+      const parsed = JSON.parse(raw);
+      return {
+        light: Number.isFinite(parsed.light) ? parsed.light : 0,
+        dark:  Number.isFinite(parsed.dark)  ? parsed.dark  : 0
+      };
+    } catch {
+      return { light: 0, dark: 0 };
+    }
+  }
+
+  function loadDestinyLog() {
+    try {
+      const raw = campaignStore.getItem(DESTINY_LOG_KEY);
+      if (!raw) return [];
+      const arr = JSON.parse(raw);
+      return Array.isArray(arr) ? arr : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function saveDestinyState() {
+    try {
+      campaignStore.setItem(DESTINY_STATE_KEY, JSON.stringify(destinyState));
+    } catch {}
+  }
+
+  function saveDestinyLog() {
+    try {
+      campaignStore.setItem(DESTINY_LOG_KEY, JSON.stringify(destinyLog));
+    } catch {}
+  }
+
+  function addDestinyLogEntry(text) {
+    const stamp = new Date();
+    const time = stamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    destinyLog.unshift(`[${time}] ${text}`);
+    if (destinyLog.length > 50) destinyLog.length = 50;
+    saveDestinyLog();
+    syncSend({ type: 'destiny', state: destinyState, log: destinyLog });
+    recordSessionEvent({ kind: 'destiny', text, pool: { light: destinyState.light, dark: destinyState.dark } });
+  }
+
+  /* ----------------- DESTINY POOL PANEL RENDER ----------------- */
+
+  function drawDestinyTokens(lightRow, darkRow) {
+    lightRow.innerHTML = '';
+    darkRow.innerHTML  = '';
+
+    for (let i = 0; i < destinyState.light; i++) {
+      const t = document.createElement('div');
+      t.className = 'destiny-token light';
+      lightRow.appendChild(t);
+    }
+    for (let i = 0; i < destinyState.dark; i++) {
+      const t = document.createElement('div');
+      t.className = 'destiny-token dark';
+      darkRow.appendChild(t);
+    }
+  }
+
+  // clear codex state when a GM tool panel takes over the main view
+  function enterToolView(tool) {
+    entryContent.innerHTML = '';
+
+    activeTool     = tool;
+    activeCategory = null;
+    activeEntry    = null;
+    searchMode     = false;
+    tagMode        = false;
+  }
+
+  function renderDestinyPoolPanel() {
+    enterToolView('destiny');
+
+    // players get a read-only view (kept current by table sync)
+    if (!isGM) {
+      entryContent.innerHTML = `
+        <h1>Destiny Pool</h1>
+        <p style="font-size:13px; margin-bottom:10px; opacity:0.85;">
+          Managing the pool is restricted to the GM.
+        </p>
+        <div class="destiny-grid">
+          <div class="destiny-column">
+            <h2>Light Side</h2>
+            <div id="destinyLightRow" class="destiny-token-row"></div>
+          </div>
+          <div class="destiny-column">
+            <h2>Dark Side</h2>
+            <div id="destinyDarkRow" class="destiny-token-row"></div>
+          </div>
+        </div>
+      `;
+      drawDestinyTokens(
+        document.getElementById('destinyLightRow'),
+        document.getElementById('destinyDarkRow')
+      );
+      updateBreadcrumbs();
+      return;
+    }
+
+    entryContent.innerHTML = `
+      <h1>GM Destiny Pool</h1>
+      <p style="font-size:13px; margin-bottom:10px; opacity:0.85;">
+        Track and adjust the session's Light and Dark Side Destiny tokens. Changes are saved on this device.
+      </p>
+
+      <div class="destiny-grid">
+        <div class="destiny-column">
+          <h2>Light Side</h2>
+          <div id="destinyLightRow" class="destiny-token-row"></div>
+          <div class="destiny-controls">
+            <button id="addLight">+ Token</button>
+            <button id="removeLight">- Token</button>
+          </div>
+        </div>
+        <div class="destiny-column">
+          <h2>Dark Side</h2>
+          <div id="destinyDarkRow" class="destiny-token-row"></div>
+          <div class="destiny-controls">
+            <button id="addDark">+ Token</button>
+            <button id="removeDark">- Token</button>
+          </div>
+        </div>
+      </div>
+
+      <div class="destiny-actions">
+        <button id="flipLightToDark">Flip Light → Dark</button>
+        <button id="flipDarkToLight">Flip Dark → Light</button>
+        <button id="resetDestiny">Reset Pool</button>
+      </div>
+
+      <div class="destiny-log">
+        <h3>Destiny Log</h3>
+        <div id="destinyLogEntries"></div>
+      </div>
+    `;
+
+    const lightRow    = document.getElementById('destinyLightRow');
+    const darkRow     = document.getElementById('destinyDarkRow');
+    const logContainer = document.getElementById('destinyLogEntries');
+
+    function drawTokens() {
+      drawDestinyTokens(lightRow, darkRow);
+    }
+
+    function drawLog() {
+      logContainer.innerHTML = '';
+      if (!destinyLog.length) {
+        const empty = document.createElement('div');
+        empty.className = 'destiny-log-entry';
+        empty.style.opacity = '0.7';
+        empty.textContent = 'No changes logged yet.';
+        logContainer.appendChild(empty);
+        return;
+      }
+      destinyLog.forEach(entry => {
+        const div = document.createElement('div');
+        div.className = 'destiny-log-entry';
+        div.textContent = entry;
+        logContainer.appendChild(div);
+      });
+    }
+
+    // Button handlers
+    document.getElementById('addLight').addEventListener('click', () => {
+      destinyState.light++;
+      saveDestinyState();
+      addDestinyLogEntry('Added one Light Side token.');
+      drawTokens(); drawLog();
+    });
+
+    document.getElementById('removeLight').addEventListener('click', () => {
+      if (destinyState.light > 0) {
+        destinyState.light--;
+        saveDestinyState();
+        addDestinyLogEntry('Removed one Light Side token.');
+        drawTokens(); drawLog();
+      }
+    });
+
+    document.getElementById('addDark').addEventListener('click', () => {
+      destinyState.dark++;
+      saveDestinyState();
+      addDestinyLogEntry('Added one Dark Side token.');
+      drawTokens(); drawLog();
+    });
+
+    document.getElementById('removeDark').addEventListener('click', () => {
+      if (destinyState.dark > 0) {
+        destinyState.dark--;
+        saveDestinyState();
+        addDestinyLogEntry('Removed one Dark Side token.');
+        drawTokens(); drawLog();
+      }
+    });
+
+    document.getElementById('flipLightToDark').addEventListener('click', () => {
+      if (destinyState.light > 0) {
+        destinyState.light--;
+        destinyState.dark++;
+        saveDestinyState();
+        addDestinyLogEntry('Flipped one Light Side token to Dark.');
+        drawTokens(); drawLog();
+      }
+    });
+
+    document.getElementById('flipDarkToLight').addEventListener('click', () => {
+      if (destinyState.dark > 0) {
+        destinyState.dark--;
+        destinyState.light++;
+        saveDestinyState();
+        addDestinyLogEntry('Flipped one Dark Side token to Light.');
+        drawTokens(); drawLog();
+      }
+    });
+
+    document.getElementById('resetDestiny').addEventListener('click', () => {
+      destinyState = { light: 0, dark: 0 };
+      saveDestinyState();
+      addDestinyLogEntry('Reset Destiny Pool.');
+      drawTokens(); drawLog();
+    });
+
+    drawTokens();
+    drawLog();
+    updateBreadcrumbs();
+  }
+
+  /* ----------------- DICE ROLLER ----------------- */
+
+  // Narrative dice: each face is a list of symbols
+  const DICE = {
+    boost:       { label: 'Boost',       sides: 6,  faces: [[], [], ['success'], ['success', 'advantage'], ['advantage', 'advantage'], ['advantage']] },
+    ability:     { label: 'Ability',     sides: 8,  faces: [[], ['success'], ['success'], ['success', 'success'], ['advantage'], ['advantage'], ['success', 'advantage'], ['advantage', 'advantage']] },
+    proficiency: { label: 'Proficiency', sides: 12, faces: [[], ['success'], ['success'], ['success', 'success'], ['success', 'success'], ['advantage'], ['success', 'advantage'], ['success', 'advantage'], ['success', 'advantage'], ['advantage', 'advantage'], ['advantage', 'advantage'], ['triumph']] },
+    setback:     { label: 'Setback',     sides: 6,  faces: [[], [], ['failure'], ['failure'], ['threat'], ['threat']] },
+    difficulty:  { label: 'Difficulty',  sides: 8,  faces: [[], ['failure'], ['failure', 'failure'], ['threat'], ['threat'], ['threat'], ['threat', 'threat'], ['failure', 'threat']] },
+    challenge:   { label: 'Challenge',   sides: 12, faces: [[], ['failure'], ['failure'], ['failure', 'failure'], ['failure', 'failure'], ['threat'], ['threat'], ['failure', 'threat'], ['failure', 'threat'], ['threat', 'threat'], ['threat', 'threat'], ['despair']] },
+    force:       { label: 'Force',       sides: 12, faces: [['dark'], ['dark'], ['dark'], ['dark'], ['dark'], ['dark'], ['dark', 'dark'], ['light'], ['light'], ['light', 'light'], ['light', 'light'], ['light', 'light']] }
+  };
+
+  const SYMBOL_LABELS = {
+    success: 'Success', advantage: 'Advantage', triumph: 'Triumph',
+    failure: 'Failure', threat: 'Threat', despair: 'Despair',
+    light: 'Light', dark: 'Dark'
+  };
+
+  let dicePool    = emptyDicePool();
+  let diceSeed    = null;   // seed of the current RNG stream
+  let diceRng     = null;
+  let diceHistory = [];     // last few rolls on this device
+
+  function emptyDicePool() {
+    const pool = {};
+    Object.keys(DICE).forEach(type => { pool[type] = 0; });
+    return pool;
+  }
+
+  // mulberry32: small, fast and reproducible from a 32-bit seed
+  function makeRng(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // text seeds ("session-4") hash to a number; numeric seeds are used as-is
+  function seedFromText(text) {
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  function setDiceSeed(text) {
+    diceSeed = text ? String(text) : String(Math.floor(Math.random() * 4294967296));
+    diceRng  = makeRng(seedFromText(diceSeed));
+  }
+
+  function rollDie(type, rng) {
+    const die = DICE[type];
+    return die.faces[Math.floor(rng() * die.sides)];
+  }
+
+  // [{ type, face }] in pool order
+  function rollDicePool(pool, rng) {
+    const results = [];
+    for (const type of Object.keys(DICE)) {
+      for (let i = 0; i < (pool[type] || 0); i++) {
+        results.push({ type, face: rollDie(type, rng) });
+      }
+    }
+    return results;
+  }
+
+  // Triumph also counts as a success and Despair as a failure;
+  // successes cancel failures and advantages cancel threats
+  function netDiceResult(results) {
+    const count = {};
+    Object.keys(SYMBOL_LABELS).forEach(sym => { count[sym] = 0; });
+    results.forEach(r => r.face.forEach(sym => { count[sym]++; }));
+
+    const successes = count.success + count.triumph;
+    const failures  = count.failure + count.despair;
+    return {
+      success:   Math.max(0, successes - failures),
+      failure:   Math.max(0, failures - successes),
+      advantage: Math.max(0, count.advantage - count.threat),
+      threat:    Math.max(0, count.threat - count.advantage),
+      triumph:   count.triumph,
+      despair:   count.despair,
+      light:     count.light,
+      dark:      count.dark
+    };
+  }
+
+  function describeNet(net, results) {
+    const parts = Object.keys(SYMBOL_LABELS)
+      .filter(sym => net[sym] > 0)
+      .map(sym => `${net[sym]} ${SYMBOL_LABELS[sym]}`);
+
+    const hasCheckDice = results.some(r => r.type !== 'force');
+    if (!hasCheckDice) return parts.join(', ') || 'No pips';
+
+    const outcome = net.success > 0 ? 'Success' : 'Failure';
+    return parts.length ? `${outcome} – ${parts.join(', ')}` : `${outcome} – all symbols cancelled`;
+  }
+
+  function describePool(pool) {
+    return Object.keys(DICE)
+      .filter(type => pool[type] > 0)
+      .map(type => `${pool[type]} ${DICE[type].label}`)
+      .join(', ');
+  }
+
+  // Upgrading turns one base die into its upgraded die. With no base die
+  // left, one is added and then upgraded, so the pool still gains a die:
+  //   2 Ability               → 1 Ability, 1 Proficiency
+  //   1 Proficiency           → 2 Proficiency
+  //   1 Difficulty            → 1 Challenge
+  //   1 Challenge             → 2 Challenge
+  // Returns true when a base die had to be added.
+  function upgradeDice(pool, base, upgraded) {
+    const added = !(pool[base] > 0);
+    if (added) pool[base] = 1;
+    pool[base]--;
+    pool[upgraded]++;
+    return added;
+  }
+
+  // Spending Destiny: Light upgrades the players' pool, Dark upgrades the GM's
+  function spendDestiny(side) {
+    const from  = side === 'light' ? 'light' : 'dark';
+    const to    = from === 'light' ? 'dark' : 'light';
+    if (destinyState[from] <= 0) return false;
+
+    const [base, upgraded] = from === 'light' ? ['ability', 'proficiency'] : ['difficulty', 'challenge'];
+    const added = upgradeDice(dicePool, base, upgraded);
+    const how = added ? ` (added ${DICE[base].label} die first)` : '';
+
+    destinyState[from]--;
+    destinyState[to]++;
+    saveDestinyState();
+    addDestinyLogEntry(from === 'light'
+      ? `Flipped one Light Side token to Dark to upgrade the players' check${how}.`
+      : `Flipped one Dark Side token to Light to upgrade the difficulty${how}.`);
+    return true;
+  }
+
+  // Session start: each player rolls one Force die; pips become the pool
+  function generateDestinyPool(players) {
+    if (!diceRng) setDiceSeed('');
+    const results = rollDicePool({ force: players }, diceRng);
+    const net = netDiceResult(results);
+    destinyState = { light: net.light, dark: net.dark };
+    saveDestinyState();
+    addDestinyLogEntry(`Generated Destiny Pool from ${plural(players, 'Force die', 'Force dice')}: ` +
+      `${net.light} Light, ${net.dark} Dark (seed ${diceSeed}).`);
+    return results;
+  }
+
+  function renderDiceRollerPanel() {
+    enterToolView('dice');
+
+    if (!isGM) {
+      entryContent.innerHTML = `
+        <h1>GM Tools – Dice Roller</h1>
+        <p>GM Tools are restricted. Unlock GM Mode to roll dice.</p>
+      `;
+      updateBreadcrumbs();
+      return;
+    }
+
+    entryContent.innerHTML = `
+      <h1>GM Dice Roller</h1>
+      <p style="font-size:13px; margin-bottom:10px; opacity:0.85;">
+        Build a narrative dice pool and roll it. Set a seed to make a sequence of rolls reproducible.
+      </p>
+
+      <div class="data-panel">
+        <h2>Dice Pool</h2>
+        <div class="dice-picker" id="dicePicker"></div>
+        <div class="destiny-actions">
+          <button id="diceRoll">Roll</button>
+          <button id="diceClear">Clear Pool</button>
+          <button id="diceSpendLight" title="Flip a Light Side token to Dark: upgrade one Ability die">Spend Light (upgrade)</button>
+          <button id="diceSpendDark" title="Flip a Dark Side token to Light: upgrade one Difficulty die">Spend Dark (upgrade difficulty)</button>
+        </div>
+        <div class="campaign-form">
+          <input type="text" id="diceSeedInput" class="campaign-input" placeholder="Seed (blank = random)">
+          <button class="data-btn" id="diceSeedBtn">Reseed</button>
+        </div>
+        <div class="data-summary" id="diceSeedInfo"></div>
+      </div>
+
+      <div class="data-panel">
+        <h2>Destiny Pool</h2>
+        <div class="destiny-grid">
+          <div class="destiny-column">
+            <h2>Light Side</h2>
+            <div id="destinyLightRow" class="destiny-token-row"></div>
+          </div>
+          <div class="destiny-column">
+            <h2>Dark Side</h2>
+            <div id="destinyDarkRow" class="destiny-token-row"></div>
+          </div>
+        </div>
+        <div class="campaign-form">
+          <input type="number" id="destinyPlayers" class="campaign-input" min="1" max="12" value="4" title="Players">
+          <button class="data-btn" id="destinyGenerate">Roll Destiny Pool</button>
+        </div>
+      </div>
+
+      <div class="destiny-log">
+        <h3>Rolls</h3>
+        <div id="diceHistory"></div>
+      </div>
+    `;
+
+    const picker  = document.getElementById('dicePicker');
+    const history = document.getElementById('diceHistory');
+
+    function drawPicker() {
+      picker.innerHTML = '';
+      Object.keys(DICE).forEach(type => {
+        const cell = document.createElement('div');
+        cell.className = `dice-cell die-${type}`;
+        cell.innerHTML = `
+          <div class="dice-name">${DICE[type].label}</div>
+          <div class="destiny-controls">
+            <button data-step="-1">−</button>
+            <span class="dice-count">${dicePool[type]}</span>
+            <button data-step="1">+</button>
+          </div>
+        `;
+        cell.querySelectorAll('button').forEach(btn => btn.addEventListener('click', () => {
+          dicePool[type] = Math.max(0, Math.min(20, dicePool[type] + Number(btn.dataset.step)));
+          drawPicker();
+        }));
+        picker.appendChild(cell);
+      });
+      document.getElementById('diceSpendLight').disabled = destinyState.light <= 0;
+      document.getElementById('diceSpendDark').disabled  = destinyState.dark <= 0;
+      document.getElementById('diceSeedInfo').textContent = diceSeed
+        ? `Seed: ${diceSeed}`
+        : 'Seed: random (chosen on first roll)';
+      drawDestinyTokens(
+        document.getElementById('destinyLightRow'),
+        document.getElementById('destinyDarkRow')
+      );
+    }
+
+    function drawHistory() {
+      history.innerHTML = '';
+      if (!diceHistory.length) {
+        const empty = document.createElement('div');
+        empty.className = 'destiny-log-entry';
+        empty.style.opacity = '0.7';
+        empty.textContent = 'No rolls yet.';
+        history.appendChild(empty);
+        return;
+      }
+      diceHistory.forEach(roll => {
+        const row = document.createElement('div');
+        row.className = 'dice-roll';
+
+        const head = document.createElement('div');
+        head.className = 'destiny-log-entry';
+        head.textContent = `[${roll.time}] ${roll.label}: ${roll.summary}`;
+        row.appendChild(head);
+
+        const faces = document.createElement('div');
+        faces.className = 'dice-faces';
+        roll.results.forEach(r => {
+          const chip = document.createElement('span');
+          chip.className = `dice-face die-${r.type}`;
+          chip.textContent = r.face.length ? r.face.map(sym => SYMBOL_LABELS[sym]).join(' + ') : 'Blank';
+          chip.title = DICE[r.type].label;
+          faces.appendChild(chip);
+        });
+        row.appendChild(faces);
+
+        history.appendChild(row);
+      });
+    }
+
+    function recordRoll(label, results, summary) {
+      const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      diceHistory.unshift({ time, label, results, summary });
+      if (diceHistory.length > 20) diceHistory.length = 20;
+    }
+
+    document.getElementById('diceRoll').addEventListener('click', () => {
+      if (!describePool(dicePool)) return;
+      if (!diceRng) setDiceSeed('');
+      const results = rollDicePool(dicePool, diceRng);
+      recordRoll(describePool(dicePool), results, describeNet(netDiceResult(results), results));
+      drawPicker(); drawHistory();
+    });
+
+    document.getElementById('diceClear').addEventListener('click', () => {
+      dicePool = emptyDicePool();
+      drawPicker();
+    });
+
+    document.getElementById('diceSpendLight').addEventListener('click', () => {
+      if (spendDestiny('light')) drawPicker();
+    });
+
+    document.getElementById('diceSpendDark').addEventListener('click', () => {
+      if (spendDestiny('dark')) drawPicker();
+    });
+
+    document.getElementById('diceSeedBtn').addEventListener('click', () => {
+      setDiceSeed(document.getElementById('diceSeedInput').value.trim());
+      drawPicker();
+    });
+
+    document.getElementById('destinyGenerate').addEventListener('click', () => {
+      const players = Math.max(1, Math.min(12, parseInt(document.getElementById('destinyPlayers').value, 10) || 1));
+      const results = generateDestinyPool(players);
+      recordRoll('Destiny Pool', results, `${destinyState.light} Light, ${destinyState.dark} Dark`);
+      drawPicker(); drawHistory();
+    });
+
+    drawPicker();
+    drawHistory();
+    updateBreadcrumbs();
+  }
+
+  /* ----------------- ENCOUNTER TRACKER ----------------- */
+
+  const COMMON_CONDITIONS = ['Staggered', 'Disoriented', 'Immobilized', 'Prone', 'Stunned', 'Incapacitated'];
+
+  function emptyEncounter() {
+    return { round: 1, turn: 0, started: false, combatants: [] };
+  }
+
+  function loadEncounter() {
+    try {
+      const raw = campaignStore.getItem(ENCOUNTER_KEY);
+      if (!raw) return emptyEncounter();
+      const parsed = JSON.parse(raw);
+      if (!parsed || !Array.isArray(parsed.combatants)) return emptyEncounter();
+      return Object.assign(emptyEncounter(), parsed);
+    } catch {
+      return emptyEncounter();
+    }
+  }
+
+  function saveEncounter() {
+    try {
+      campaignStore.setItem(ENCOUNTER_KEY, JSON.stringify(encounter));
+    } catch {}
+  }
+
+  function newCombatantId() {
+    return `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  // minion groups share one wound pool: threshold × group size
+  function threatCombatant(entry, count, name) {
+    const stats  = entry.stats || {};
+    const minion = stats.adversary === 'minion';
+    const size   = minion ? Math.max(1, count) : 1;
+    return {
+      id:              newCombatantId(),
+      side:            'npc',
+      name:            name || entry.name,
+      entryId:         entry.id,
+      group:           minion ? size : 0,
+      initiative:      0,
+      wounds:          0,
+      woundThreshold:  (stats.wounds || 0) * size,
+      strain:          0,
+      strainThreshold: minion ? 0 : (stats.strain || 0),
+      crits:           [],
+      conditions:      []
+    };
+  }
+
+  // one minion group, or `count` separate rivals / nemeses
+  function threatCombatants(entry, count) {
+    if ((entry.stats || {}).adversary === 'minion' || count <= 1) return [threatCombatant(entry, count)];
+    return Array.from({ length: count }, (_, i) => threatCombatant(entry, 1, `${entry.name} ${i + 1}`));
+  }
+
+  function pcCombatant(name, woundThreshold, strainThreshold) {
+    return {
+      id:              newCombatantId(),
+      side:            'pc',
+      name,
+      group:           0,
+      initiative:      0,
+      wounds:          0,
+      woundThreshold,
+      strain:          0,
+      strainThreshold,
+      crits:           [],
+      conditions:      []
+    };
+  }
+
+  // minions still standing in a group
+  function groupRemaining(c) {
+    if (!c.group || !c.woundThreshold) return c.group;
+    const each = c.woundThreshold / c.group;
+    return Math.max(0, c.group - Math.floor(c.wounds / each));
+  }
+
+  function isDefeated(c) {
+    return c.woundThreshold > 0 && c.wounds >= c.woundThreshold;
+  }
+
+  // highest initiative first; PCs win ties, as in the rules
+  function sortInitiative() {
+    encounter.combatants.sort((a, b) =>
+      (b.initiative - a.initiative) || ((a.side === 'pc' ? 0 : 1) - (b.side === 'pc' ? 0 : 1)));
+    encounter.turn = 0;
+  }
+
+  function advanceTurn(step) {
+    const list = encounter.combatants;
+    if (!list.length) return;
+
+    // skip defeated combatants, but never loop forever if everyone is down
+    for (let i = 0; i < list.length; i++) {
+      encounter.turn += step;
+      if (encounter.turn >= list.length) {
+        encounter.turn = 0;
+        encounter.round++;
+      } else if (encounter.turn < 0) {
+        if (encounter.round === 1) {
+          encounter.turn = 0;
+          return;
+        }
+        encounter.turn = list.length - 1;
+        encounter.round--;
+      }
+      if (!isDefeated(list[encounter.turn])) return;
+    }
+  }
+
+  function combatantRow(c, index) {
+    const current = encounter.started && index === encounter.turn;
+    const classes = ['encounter-row', `encounter-${c.side}`];
+    if (current)        classes.push('current');
+    if (isDefeated(c))  classes.push('defeated');
+
+    const name = c.group
+      ? `${escapeHtml(c.name)} <span class="encounter-group">×${groupRemaining(c)}/${c.group}</span>`
+      : escapeHtml(c.name);
+    const nameHtml = c.entryId
+      ? `<button class="encounter-link" data-action="open">${name}</button>`
+      : name;
+
+    const track = (field, threshold, label) => {
+      if (!c[threshold]) return '';
+      return `
+        <div class="encounter-track">
+          <span>${label} ${c[field]}/${c[threshold]}</span>
+          <button data-action="${field}" data-step="-1">−</button>
+          <button data-action="${field}" data-step="1">+</button>
+        </div>`;
+    };
+
+    const chips = (list, action) => list.map((text, i) => `
+      <span class="tag-chip encounter-chip" data-action="${action}" data-item="${i}" title="Click to remove">${escapeHtml(text)}</span>
+    `).join('');
+
+    return `
+      <div class="${classes.join(' ')}" data-index="${index}">
+        <div class="encounter-main">
+          <input type="number" class="encounter-init" data-action="initiative" value="${c.initiative}" title="Initiative (successes, then advantages as decimals)" step="0.1">
+          <div class="encounter-name">${nameHtml}</div>
+          ${track('wounds', 'woundThreshold', 'Wounds')}
+          ${track('strain', 'strainThreshold', 'Strain')}
+          <div class="destiny-controls">
+            <button data-action="up" title="Move up">▲</button>
+            <button data-action="down" title="Move down">▼</button>
+            <button data-action="remove" title="Remove from encounter">✕</button>
+          </div>
+        </div>
+        <div class="encounter-extra">
+          ${chips(c.conditions, 'uncondition')}
+          ${chips(c.crits.map(crit => `Crit: ${crit}`), 'uncrit')}
+          <select data-action="condition">
+            <option value="">+ Condition</option>
+            ${COMMON_CONDITIONS.map(cond => `<option>${cond}</option>`).join('')}
+            <option value="__custom">Other…</option>
+          </select>
+          <button class="encounter-add-crit" data-action="crit">+ Critical</button>
+        </div>
+      </div>
+    `;
+  }
+
+  async function renderEncounterPanel() {
+    enterToolView('encounter');
+
+    if (!isGM) {
+      entryContent.innerHTML = `
+        <h1>GM Tools – Encounter</h1>
+        <p>GM Tools are restricted. Unlock GM Mode to run encounters.</p>
+      `;
+      updateBreadcrumbs();
+      return;
+    }
+
+    const threats = (await loadCategoryEntries('threats')).slice()
+      .sort((a, b) => a.name.localeCompare(b.name));
+    // the GM may have navigated away while threats were loading
+    if (activeTool !== 'encounter') return;
+
+    entryContent.innerHTML = `
+      <h1>GM Encounter Tracker</h1>
+      <p style="font-size:13px; margin-bottom:10px; opacity:0.85;">
+        Add PCs and threats, set initiative, then step through turns. The encounter is saved on this device.
+      </p>
+
+      <div class="data-panel">
+        <h2>Add Combatants</h2>
+        <form class="campaign-form" id="encounterPcForm">
+          <input type="text" id="encounterPcName" class="campaign-input" placeholder="PC name" required>
+          <input type="number" id="encounterPcWounds" class="campaign-input encounter-num" min="1" placeholder="Wounds" title="Wound threshold">
+          <input type="number" id="encounterPcStrain" class="campaign-input encounter-num" min="1" placeholder="Strain" title="Strain threshold">
+          <button type="submit" class="data-btn">Add PC</button>
+        </form>
+        <form class="campaign-form" id="encounterThreatForm" style="margin-top:6px;">
+          <select id="encounterThreat" class="campaign-input">
+            ${threats.map(t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}${t.stats ? '' : ' (no stats)'}</option>`).join('')}
+          </select>
+          <input type="number" id="encounterThreatCount" class="campaign-input encounter-num" min="1" max="20" value="1" title="How many (minions form one group)">
+          <button type="submit" class="data-btn">Add Threat</button>
+        </form>
+      </div>
+
+      <div class="data-panel">
+        <h2 id="encounterRound"></h2>
+        <div class="destiny-actions">
+          <button id="encounterStart"></button>
+          <button id="encounterPrev">◀ Prev Turn</button>
+          <button id="encounterNext">Next Turn ▶</button>
+          <button id="encounterSort">Sort by Initiative</button>
+          <button id="encounterClear">Clear Encounter</button>
+        </div>
+        <div id="encounterList"></div>
+      </div>
+    `;
+
+    const list = document.getElementById('encounterList');
+
+    function update() {
+      saveEncounter();
+      draw();
+    }
+
+    function draw() {
+      document.getElementById('encounterRound').textContent = encounter.started
+        ? `Round ${encounter.round}`
+        : 'Not started';
+      document.getElementById('encounterStart').textContent = encounter.started ? 'End Encounter' : 'Start Encounter';
+      document.getElementById('encounterPrev').disabled = !encounter.started;
+      document.getElementById('encounterNext').disabled = !encounter.started;
+
+      list.innerHTML = encounter.combatants.length
+        ? encounter.combatants.map(combatantRow).join('')
+        : '<div class="destiny-log-entry" style="opacity:0.7;">No combatants yet.</div>';
+    }
+
+    document.getElementById('encounterPcForm').addEventListener('submit', (ev) => {
+      ev.preventDefault();
+      const name = document.getElementById('encounterPcName').value.trim();
+      if (!name) return;
+      const wounds = parseInt(document.getElementById('encounterPcWounds').value, 10) || 0;
+      const strain = parseInt(document.getElementById('encounterPcStrain').value, 10) || 0;
+      encounter.combatants.push(pcCombatant(name, wounds, strain));
+      ev.target.reset();
+      update();
+    });
+
+    document.getElementById('encounterThreatForm').addEventListener('submit', (ev) => {
+      ev.preventDefault();
+      const entry = threats.find(t => t.id === document.getElementById('encounterThreat').value);
+      if (!entry) return;
+      const count = Math.max(1, parseInt(document.getElementById('encounterThreatCount').value, 10) || 1);
+      encounter.combatants.push(...threatCombatants(entry, count));
+      update();
+    });
+
+    document.getElementById('encounterStart').addEventListener('click', () => {
+      if (encounter.started) {
+        if (!confirm('End the encounter? Combatants stay listed; round and turn reset.')) return;
+        encounter.started = false;
+      } else {
+        sortInitiative();
+        encounter.started = true;
+      }
+      encounter.round = 1;
+      encounter.turn  = 0;
+      update();
+    });
+
+    document.getElementById('encounterPrev').addEventListener('click', () => {
+      advanceTurn(-1);
+      update();
+    });
+
+    document.getElementById('encounterNext').addEventListener('click', () => {
+      advanceTurn(1);
+      update();
+    });
+
+    document.getElementById('encounterSort').addEventListener('click', () => {
+      sortInitiative();
+      update();
+    });
+
+    document.getElementById('encounterClear').addEventListener('click', () => {
+      if (!encounter.combatants.length) return;
+      if (!confirm('Remove every combatant and reset the encounter?')) return;
+      encounter = emptyEncounter();
+      update();
+    });
+
+    list.addEventListener('click', (ev) => {
+      const target = ev.target.closest('[data-action]');
+      const row    = ev.target.closest('.encounter-row');
+      if (!target || !row || target.tagName === 'SELECT' || target.tagName === 'INPUT') return;
+
+      const combatants = encounter.combatants;
+      const index = Number(row.dataset.index);
+      const c     = combatants[index];
+
+      switch (target.dataset.action) {
+        case 'wounds':
+          c.wounds = Math.max(0, Math.min(c.woundThreshold, c.wounds + Number(target.dataset.step)));
+          break;
+        case 'strain':
+          c.strain = Math.max(0, Math.min(c.strainThreshold, c.strain + Number(target.dataset.step)));
+          break;
+        case 'up':
+        case 'down': {
+          const other = index + (target.dataset.action === 'up' ? -1 : 1);
+          if (other < 0 || other >= combatants.length) break;
+          [combatants[other], combatants[index]] = [combatants[index], combatants[other]];
+          // the current-turn marker follows its combatant
+          if (encounter.turn === index)      encounter.turn = other;
+          else if (encounter.turn === other) encounter.turn = index;
+          break;
+        }
+        case 'remove':
+          combatants.splice(index, 1);
+          if (encounter.turn > index || encounter.turn >= combatants.length) {
+            encounter.turn = Math.max(0, encounter.turn - 1);
+          }
+          break;
+        case 'crit': {
+          const crit = prompt(`Critical injury for ${c.name}:`);
+          if (!crit || !crit.trim()) return;
+          c.crits.push(crit.trim());
+          break;
+        }
+        case 'uncondition':
+          c.conditions.splice(Number(target.dataset.item), 1);
+          break;
+        case 'uncrit':
+          c.crits.splice(Number(target.dataset.item), 1);
+          break;
+        case 'open': {
+          const entry = threats.find(t => t.id === c.entryId);
+          if (entry) openEntry(entry);
+          return;
+        }
+        default:
+          return;
+      }
+      update();
+    });
+
+    list.addEventListener('change', (ev) => {
+      const row = ev.target.closest('.encounter-row');
+      if (!row) return;
+      const c = encounter.combatants[Number(row.dataset.index)];
+
+      if (ev.target.dataset.action === 'initiative') {
+        c.initiative = Number(ev.target.value) || 0;
+      } else if (ev.target.dataset.action === 'condition') {
+        let condition = ev.target.value;
+        if (condition === '__custom') condition = (prompt('Condition:') || '').trim();
+        if (condition && !c.conditions.includes(condition)) c.conditions.push(condition);
+      } else {
+        return;
+      }
+      update();
+    });
+
+    draw();
+    updateBreadcrumbs();
+  }
+
+  /* ----------------- PARTY ----------------- */
+
+  // Player-character sheets for the active campaign (sw_party), one object per PC:
+  //   { id, name, player, species, career, specialization, characteristics,
+  //     woundThreshold, strainThreshold, soak, skills: [{ name, rank, career }],
+  //     obligation / duty: [{ type, value }], xpLog: [{ ts, amount, note }],
+  //     equipment / ships: [{ id } (codex item / vehicle) or { name }], notes }
+  const PARTY_KEY = 'sw_party';
+
+  const SKILLS = [
+    'Astrogation', 'Athletics', 'Brawl', 'Charm', 'Coercion', 'Computers', 'Cool',
+    'Coordination', 'Deception', 'Discipline', 'Gunnery', 'Knowledge (Core Worlds)',
+    'Knowledge (Education)', 'Knowledge (Lore)', 'Knowledge (Outer Rim)',
+    'Knowledge (Underworld)', 'Knowledge (Xenology)', 'Leadership', 'Lightsaber',
+    'Mechanics', 'Medicine', 'Melee', 'Negotiation', 'Perception', 'Piloting (Planetary)',
+    'Piloting (Space)', 'Ranged (Heavy)', 'Ranged (Light)', 'Resilience', 'Skulduggery',
+    'Stealth', 'Streetwise', 'Survival', 'Vigilance'
+  ];
+
+  // identity fields edited as plain text on the sheet
+  const PC_TEXT_FIELDS = [
+    ['name', 'Name'],
+    ['player', 'Player'],
+    ['species', 'Species'],
+    ['career', 'Career'],
+    ['specialization', 'Specialization']
+  ];
+
+  const PC_NUMBER_FIELDS = [
+    ['woundThreshold', 'Wound Threshold'],
+    ['strainThreshold', 'Strain Threshold'],
+    ['soak', 'Soak']
+  ];
+
+  let partySelected = null; // id of the open sheet, null for the roster
+
+  function loadParty() {
+    const list = readJsonKey(PARTY_KEY, []);
+    return Array.isArray(list) ? list.filter(pc => pc && typeof pc.id === 'string') : [];
+  }
+
+  function saveParty(list) {
+    try {
+      campaignStore.setItem(PARTY_KEY, JSON.stringify(list));
+    } catch {}
+  }
+
+  function newCharacter(name) {
+    return {
+      id:              `pc_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name,
+      player:          '',
+      species:         '',
+      career:          '',
+      specialization:  '',
+      characteristics: Object.fromEntries(CHARACTERISTICS.map(c => [c, 2])),
+      woundThreshold:  10,
+      strainThreshold: 10,
+      soak:            2,
+      skills:          [],
+      obligation:      [],
+      duty:            [],
+      xpLog:           [],
+      equipment:       [],
+      ships:           [],
+      notes:           ''
+    };
+  }
+
+  // positive log rows are XP earned, negative ones XP spent
+  function xpTotals(pc) {
+    let earned = 0;
+    let spent  = 0;
+    for (const row of pc.xpLog || []) {
+      if (row.amount >= 0) earned += row.amount;
+      else spent -= row.amount;
+    }
+    return { earned, spent, available: earned - spent };
+  }
+
+  const sumValues = list => (list || []).reduce((sum, row) => sum + (Number(row.value) || 0), 0);
+
+  // codex entry behind an equipment / ship reference, if the viewer may see it
+  function gearTarget(ref, entries) {
+    const target = ref.id ? entries.find(e => e.id === ref.id) : null;
+    return target && isVisible(target) ? target : null;
+  }
+
+  // a locked entry's name stays hidden, like unlabeled inline links
+  function gearLabel(ref, entries) {
+    const target = gearTarget(ref, entries);
+    return target ? target.name : (ref.name || 'Restricted entry');
+  }
+
+  // typed text → { id } when it names a visible codex entry, else { name }
+  function gearRef(text, entries) {
+    const wanted = text.trim().toLowerCase();
+    const match = entries.find(e => isVisible(e) && e.name.toLowerCase() === wanted);
+    return match ? { id: match.id } : { name: text.trim() };
+  }
+
+  async function renderPartyView(pcId = partySelected) {
+    enterToolView('party');
+    partySelected = pcId || null;
+
+    const [items, vehicles] = await Promise.all([
+      loadCategoryEntries('items'),
+      loadCategoryEntries('vehicles')
+    ]);
+    if (activeTool !== 'party') return; // navigated away while loading
+
+    const party = loadParty();
+    const pc = party.find(p => p.id === partySelected);
+    if (pc) {
+      renderCharacterSheet(party, pc, items, vehicles);
+    } else {
+      partySelected = null;
+      renderPartyRoster(party, vehicles);
+    }
+    updateBreadcrumbs();
+  }
+
+  function renderPartyRoster(party, vehicles) {
+    const obligation = party.reduce((sum, pc) => sum + sumValues(pc.obligation), 0);
+    const duty       = party.reduce((sum, pc) => sum + sumValues(pc.duty), 0);
+
+    entryContent.innerHTML = `
+      <h1>Party</h1>
+      <p style="font-size:13px; margin-bottom:10px; opacity:0.85;">
+        Player-character sheets for <strong>${escapeHtml(activeCampaign().name)}</strong>, saved on this device and included in the campaign export.
+      </p>
+      <div class="data-panel">
+        <h2>Crew (${party.length})</h2>
+        <div class="data-summary">Party Obligation ${obligation} · Party Duty ${duty}</div>
+        <div id="partyRoster" class="party-roster"></div>
+        <form id="partyCreateForm" class="campaign-form">
+          <input type="text" id="partyCreateName" class="campaign-input" placeholder="Character name" maxlength="60">
+          <button type="submit" class="data-btn">Add Character</button>
+        </form>
+      </div>
+    `;
+
+    const roster = document.getElementById('partyRoster');
+    if (!party.length) roster.textContent = 'No characters yet.';
+
+    for (const pc of party) {
+      const ships = (pc.ships || []).map(ref => gearLabel(ref, vehicles));
+      const card = document.createElement('button');
+      card.className = 'party-card';
+      card.innerHTML = `
+        <span class="party-card-name">${escapeHtml(pc.name)}</span>
+        <span class="party-card-line">${escapeHtml([pc.species, pc.career, pc.specialization].filter(Boolean).join(' · ') || 'No species or career yet')}</span>
+        <span class="party-card-line">
+          ${pc.player ? `Player: ${escapeHtml(pc.player)} · ` : ''}XP ${xpTotals(pc).available} available
+          · Obligation ${sumValues(pc.obligation)} · Duty ${sumValues(pc.duty)}
+        </span>
+        ${ships.length ? `<span class="party-card-line">Ships: ${escapeHtml(ships.join(', '))}</span>` : ''}
+      `;
+      card.addEventListener('click', () => renderPartyView(pc.id));
+      roster.appendChild(card);
+    }
+
+    document.getElementById('partyCreateForm').addEventListener('submit', (ev) => {
+      ev.preventDefault();
+      const name = document.getElementById('partyCreateName').value.trim();
+      if (!name) return;
+      const pc = newCharacter(name);
+      saveParty(party.concat(pc));
+      renderPartyView(pc.id);
+    });
+  }
+
+  function renderCharacterSheet(party, pc, items, vehicles) {
+    const chars = pc.characteristics || {};
+    const textField = ([key, label]) => `
+      <label>${label} <input type="text" class="campaign-input" data-field="${key}" value="${escapeHtml(pc[key] || '')}"></label>`;
+    const numberField = (label, value, attrs) => `
+      <label>${label} <input type="number" class="campaign-input" ${attrs} value="${Number(value) || 0}"></label>`;
+    const option = e => `<option value="${escapeHtml(e.name)}"></option>`;
+
+    entryContent.innerHTML = `
+      <div id="pcSheet">
+        <h1>${escapeHtml(pc.name)}</h1>
+
+        <div class="data-panel">
+          <h2>Identity</h2>
+          <div class="party-grid">${PC_TEXT_FIELDS.map(textField).join('')}</div>
+        </div>
+
+        <div class="data-panel">
+          <h2>Characteristics</h2>
+          <div class="party-grid">
+            ${CHARACTERISTICS.map(c => numberField(capitalize(c), chars[c], `data-char="${c}" min="1" max="6"`)).join('')}
+            ${PC_NUMBER_FIELDS.map(([key, label]) => numberField(label, pc[key], `data-number="${key}" min="0"`)).join('')}
+          </div>
+        </div>
+
+        <div class="data-panel">
+          <h2>Skills</h2>
+          <div id="pcSkills" class="party-list"></div>
+          <form id="pcSkillForm" class="campaign-form">
+            <input type="text" id="pcSkillName" class="campaign-input" list="pcSkillOptions" placeholder="Skill">
+            <input type="number" id="pcSkillRank" class="campaign-input encounter-num" min="0" max="5" value="1" title="Rank">
+            <label><input type="checkbox" id="pcSkillCareer"> Career</label>
+            <button type="submit" class="data-btn">Add Skill</button>
+          </form>
+          <datalist id="pcSkillOptions">${SKILLS.map(s => `<option value="${s}"></option>`).join('')}</datalist>
+        </div>
+
+        <div class="data-panel">
+          <h2>Obligation &amp; Duty</h2>
+          <div id="pcObligation" class="party-list"></div>
+          <div id="pcDuty" class="party-list"></div>
+          <form id="pcMotivationForm" class="campaign-form">
+            <select id="pcMotivationKind" class="campaign-input">
+              <option value="obligation">Obligation</option>
+              <option value="duty">Duty</option>
+            </select>
+            <input type="text" id="pcMotivationType" class="campaign-input" placeholder="Type (e.g. Debt, Recruiting)">
+            <input type="number" id="pcMotivationValue" class="campaign-input encounter-num" min="0" value="10">
+            <button type="submit" class="data-btn">Add</button>
+          </form>
+        </div>
+
+        <div class="data-panel">
+          <h2>Experience</h2>
+          <div id="pcXpTotals" class="data-summary"></div>
+          <div id="pcXpLog" class="party-list"></div>
+          <form id="pcXpForm" class="campaign-form">
+            <input type="number" id="pcXpAmount" class="campaign-input encounter-num" placeholder="XP" title="Positive to award, negative to spend">
+            <input type="text" id="pcXpNote" class="campaign-input" placeholder="Session award, new talent, ...">
+            <button type="submit" class="data-btn">Log XP</button>
+          </form>
+        </div>
+
+        <div class="data-panel">
+          <h2>Equipment</h2>
+          <div id="pcEquipment" class="tag-list"></div>
+          <form id="pcEquipmentForm" class="campaign-form">
+            <input type="text" id="pcEquipmentName" class="campaign-input" list="pcItemOptions" placeholder="Codex item or other gear">
+            <button type="submit" class="data-btn">Add Gear</button>
+          </form>
+          <datalist id="pcItemOptions">${items.filter(isVisible).map(option).join('')}</datalist>
+        </div>
+
+        <div class="data-panel">
+          <h2>Ships</h2>
+          <div id="pcShips" class="tag-list"></div>
+          <form id="pcShipForm" class="campaign-form">
+            <input type="text" id="pcShipName" class="campaign-input" list="pcVehicleOptions" placeholder="Codex vehicle">
+            <button type="submit" class="data-btn">Add Ship</button>
+          </form>
+          <datalist id="pcVehicleOptions">${vehicles.filter(isVisible).map(option).join('')}</datalist>
+        </div>
+
+        <div class="data-panel">
+          <h2>Notes</h2>
+          <textarea class="campaign-input party-notes" data-field="notes" rows="4">${escapeHtml(pc.notes || '')}</textarea>
+        </div>
+
+        <div class="destiny-actions">
+          <button id="pcBackBtn">Back to Roster</button>
+          <button id="pcDeleteBtn" class="danger">Delete Character</button>
+        </div>
+      </div>
+    `;
+
+    const save = () => saveParty(party);
+
+    // removable rows per sheet list: [container id, row text]
+    const lists = {
+      skills:     ['pcSkills', s => `${s.name} ${s.rank}${s.career ? ' (career)' : ''}`],
+      obligation: ['pcObligation', o => `Obligation: ${o.type} ${o.value}`],
+      duty:       ['pcDuty', d => `Duty: ${d.type} ${d.value}`],
+      xpLog:      ['pcXpLog', x => `${x.amount > 0 ? '+' : ''}${x.amount} XP${x.note ? ` – ${x.note}` : ''} (${new Date(x.ts).toLocaleDateString()})`]
+    };
+
+    function drawGear(key, containerId, entries) {
+      const box = document.getElementById(containerId);
+      box.innerHTML = '';
+      (pc[key] || []).forEach((ref, i) => {
+        const chip = document.createElement('span');
+        chip.className = 'party-chip';
+        const target = gearTarget(ref, entries);
+        if (target) {
+          const link = document.createElement('button');
+          link.className = 'entry-link';
+          link.textContent = target.name;
+          link.addEventListener('click', () => openEntry(target));
+          chip.appendChild(link);
+        } else {
+          chip.appendChild(document.createTextNode(gearLabel(ref, entries)));
+        }
+        chip.appendChild(removeButton(key, i));
+        box.appendChild(chip);
+      });
+    }
+
+    function removeButton(key, index) {
+      const btn = document.createElement('button');
+      btn.className = 'party-remove';
+      btn.textContent = '×';
+      btn.title = 'Remove';
+      btn.addEventListener('click', () => {
+        pc[key].splice(index, 1);
+        save();
+        draw();
+      });
+      return btn;
+    }
+
+    function draw() {
+      for (const [key, [containerId, text]] of Object.entries(lists)) {
+        const box = document.getElementById(containerId);
+        box.innerHTML = '';
+        (pc[key] || []).forEach((row, i) => {
+          const line = document.createElement('div');
+          line.className = 'party-row';
+          line.textContent = text(row);
+          line.appendChild(removeButton(key, i));
+          box.appendChild(line);
+        });
+      }
+      const xp = xpTotals(pc);
+      document.getElementById('pcXpTotals').textContent =
+        `Earned ${xp.earned} · Spent ${xp.spent} · Available ${xp.available}`;
+      drawGear('equipment', 'pcEquipment', items);
+      drawGear('ships', 'pcShips', vehicles);
+    }
+
+    const push = (key, row) => {
+      pc[key] = (pc[key] || []).concat(row);
+      save();
+      draw();
+    };
+
+    // typed fields save as you go
+    const sheet = document.getElementById('pcSheet');
+    sheet.addEventListener('input', (ev) => {
+      const el = ev.target;
+      if (el.dataset.field) {
+        pc[el.dataset.field] = el.value;
+        if (el.dataset.field === 'name') sheet.querySelector('h1').textContent = el.value;
+      } else if (el.dataset.char) {
+        pc.characteristics = Object.assign({}, pc.characteristics, { [el.dataset.char]: parseInt(el.value, 10) || 0 });
+      } else if (el.dataset.number) {
+        pc[el.dataset.number] = parseInt(el.value, 10) || 0;
+      } else {
+        return;
+      }
+      save();
+    });
+
+    const onSubmit = (id, handler) => document.getElementById(id).addEventListener('submit', (ev) => {
+      ev.preventDefault();
+      handler();
+      ev.target.reset();
+    });
+
+    onSubmit('pcSkillForm', () => {
+      const name = document.getElementById('pcSkillName').value.trim();
+      if (!name) return;
+      const rank = Math.max(0, Math.min(5, parseInt(document.getElementById('pcSkillRank').value, 10) || 0));
+      const career = document.getElementById('pcSkillCareer').checked;
+      pc.skills = (pc.skills || []).filter(s => s.name !== name)
+        .concat({ name, rank, career })
+        .sort((a, b) => a.name.localeCompare(b.name));
+      save();
+      draw();
+    });
+
+    onSubmit('pcMotivationForm', () => {
+      const type = document.getElementById('pcMotivationType').value.trim();
+      if (!type) return;
+      const value = Math.max(0, parseInt(document.getElementById('pcMotivationValue').value, 10) || 0);
+      push(document.getElementById('pcMotivationKind').value, { type, value });
+    });
+
+    onSubmit('pcXpForm', () => {
+      const amount = parseInt(document.getElementById('pcXpAmount').value, 10);
+      if (!amount) return;
+      push('xpLog', { ts: new Date().toISOString(), amount, note: document.getElementById('pcXpNote').value.trim() });
+    });
+
+    onSubmit('pcEquipmentForm', () => {
+      const text = document.getElementById('pcEquipmentName').value;
+      if (text.trim()) push('equipment', gearRef(text, items));
+    });
+
+    onSubmit('pcShipForm', () => {
+      const text = document.getElementById('pcShipName').value;
+      if (text.trim()) push('ships', gearRef(text, vehicles));
+    });
+
+    document.getElementById('pcBackBtn').addEventListener('click', () => renderPartyView(null));
+
+    document.getElementById('pcDeleteBtn').addEventListener('click', () => {
+      if (!confirm(`Delete ${pc.name || 'this character'}'s sheet from this campaign?`)) return;
+      saveParty(party.filter(p => p !== pc));
+      renderPartyView(null);
+    });
+
+    draw();
+  }
+
+  /* ----------------- SESSION LOG ----------------- */
+
+  // Numbered play sessions and everything that happened in them (sw_sessions):
+  //   { sessions: [{ number, startedAt, endedAt }], current: number | null,
+  //     events: [{ ts, session, kind: 'recap' | 'unlock' | 'destiny', text, refs, ... }] }
+  // Unlocks and Destiny changes are recorded as they happen, stamped with the
+  // running session (null between sessions). Only the newest automatic events
+  // are kept; recaps are never dropped.
+  const SESSIONS_KEY             = 'sw_sessions';
+  const SESSION_AUTO_EVENT_LIMIT = 500;
+
+  let sessionFilter      = ''; // "category/id" the timeline is narrowed to
+  let sessionEventBuffer = null; // events held back during a bulk change
+
+  function loadSessionLog() {
+    const log = readJsonKey(SESSIONS_KEY, null);
+    return {
+      sessions: log && Array.isArray(log.sessions) ? log.sessions : [],
+      current:  log && Number.isInteger(log.current) ? log.current : null,
+      events:   log && Array.isArray(log.events) ? log.events : []
+    };
+  }
+
+  // drops the oldest automatic events beyond `limit`
+  function compactSessionLog(log, limit) {
+    let drop = log.events.filter(e => e.kind !== 'recap').length - limit;
+    if (drop > 0) log.events = log.events.filter(e => e.kind === 'recap' || drop-- <= 0);
+  }
+
+  function saveSessionLog(log) {
+    compactSessionLog(log, SESSION_AUTO_EVENT_LIMIT);
+    try {
+      campaignStore.setItem(SESSIONS_KEY, JSON.stringify(log));
+    } catch (e) {
+      // storage full: give up the older half of the automatic events, then retry once
+      compactSessionLog(log, Math.floor(log.events.filter(ev => ev.kind !== 'recap').length / 2));
+      try {
+        campaignStore.setItem(SESSIONS_KEY, JSON.stringify(log));
+      } catch {
+        console.warn('session log not saved', e);
+      }
+    }
+  }
+
+  function appendSessionEvents(events) {
+    const log = loadSessionLog();
+    events.forEach(event => log.events.push(Object.assign({ session: log.current }, event)));
+    saveSessionLog(log);
+  }
+
+  function recordSessionEvent(event) {
+    const stamped = Object.assign({ ts: new Date().toISOString(), refs: [] }, event);
+    if (sessionEventBuffer) sessionEventBuffer.push(stamped);
+    else                    appendSessionEvents([stamped]);
+  }
+
+  // runs fn() and writes the events it records in one save
+  function batchSessionEvents(fn) {
+    if (sessionEventBuffer) return fn();
+    sessionEventBuffer = [];
+    try {
+      return fn();
+    } finally {
+      const events = sessionEventBuffer;
+      sessionEventBuffer = null;
+      if (events.length) appendSessionEvents(events);
+    }
+  }
+
+  // [[links]] in a recap, as { id, category? } refs
+  function recapRefs(text) {
+    return [...String(text).matchAll(INLINE_PATTERN)]
+      .filter(match => match[1])
+      .map(match => parseEntryRef(match[1]));
+  }
+
+  // "Han Solo", "a section of Han Solo", ... for an unlock id
+  function unlockLabel(unlockId, allEntries) {
+    const [entryId, part = ''] = unlockId.split('::');
+    const entry = allEntries.find(e => e.id === entryId);
+    const name = entry ? entry.name : entryId;
+    if (part.startsWith('objective:')) return `a secret objective of ${name}`;
+    if (part.startsWith('annotation:')) return `a handout on ${name}`;
+    return part ? `a section of ${name}` : name;
+  }
+
+  const formatStamp = iso => new Date(iso).toLocaleString([], {
+    year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+  });
+
+  function sessionEventNode(event, index, allEntries) {
+    const row = document.createElement('div');
+    row.className = `session-event session-${event.kind}`;
+
+    const time = document.createElement('span');
+    time.className = 'session-time';
+    time.textContent = new Date(event.ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    row.appendChild(time);
+
+    const body = document.createElement('div');
+    body.className = 'session-body';
+    if (event.kind === 'recap') {
+      body.appendChild(renderMarkup(event.text));
+    } else if (event.kind === 'unlock') {
+      body.textContent = `${event.on ? 'Revealed' : 'Hid'} ${unlockLabel(event.unlockId, allEntries)}`;
+    } else {
+      body.textContent = `Destiny: ${event.text}` +
+        (event.pool ? ` (${event.pool.light} light / ${event.pool.dark} dark)` : '');
+    }
+    row.appendChild(body);
+
+    if (event.kind === 'recap') {
+      const del = document.createElement('button');
+      del.className = 'party-remove';
+      del.textContent = '×';
+      del.title = 'Delete recap';
+      del.dataset.event = index;
+      row.appendChild(del);
+    }
+    return row;
+  }
+
+  async function renderSessionLogPanel() {
+    enterToolView('sessions');
+
+    if (!isGM) {
+      entryContent.innerHTML = `
+        <h1>GM Tools – Session Log</h1>
+        <p>GM Tools are restricted. Unlock GM Mode to keep the session log.</p>
+      `;
+      updateBreadcrumbs();
+      return;
+    }
+
+    const allEntries = await loadAllEntries();
+    if (activeTool !== 'sessions') return; // navigated away while loading
+
+    const log = loadSessionLog();
+    const running = log.sessions.find(s => s.number === log.current);
+    const nextNumber = log.sessions.reduce((max, s) => Math.max(max, s.number), 0) + 1;
+
+    // every entry the log mentions, for the filter
+    const mentioned = new Map();
+    for (const event of log.events) {
+      for (const ref of event.refs || []) {
+        const target = resolveRelated(ref, allEntries);
+        if (target) mentioned.set(`${target.category}/${target.id}`, target);
+      }
+    }
+    if (!mentioned.has(sessionFilter)) sessionFilter = '';
+    const filterOptions = [...mentioned.entries()]
+      .sort((a, b) => a[1].name.localeCompare(b[1].name))
+      .map(([key, e]) => `<option value="${escapeHtml(key)}"${key === sessionFilter ? ' selected' : ''}>${escapeHtml(e.name)} (${e.category})</option>`)
+      .join('');
+
+    entryContent.innerHTML = `
+      <h1>GM Session Log</h1>
+      <p style="font-size:13px; margin-bottom:10px; opacity:0.85;">
+        Unlocks and Destiny Pool changes are logged automatically and stamped with the running session. Recaps support description markup, so <code>[[category/id]]</code> links to entries.
+      </p>
+
+      <div class="data-panel">
+        <h2>${running ? `Session ${running.number} in progress` : 'No session running'}</h2>
+        <div class="data-summary">
+          ${running ? `Started ${escapeHtml(formatStamp(running.startedAt))}` : `${plural(log.sessions.length, 'session', 'sessions')} played`}
+        </div>
+        <div class="destiny-actions">
+          ${running
+            ? `<button id="sessionEndBtn">End Session ${running.number}</button>`
+            : `<button id="sessionStartBtn">Start Session ${nextNumber}</button>`}
+        </div>
+        <form id="sessionRecapForm" class="session-recap-form">
+          <textarea id="sessionRecapText" class="campaign-input" rows="4" placeholder="What happened? Link entries with [[characters/han_solo]]."></textarea>
+          <button type="submit" class="data-btn">Add Recap</button>
+        </form>
+      </div>
+
+      <div class="data-panel">
+        <h2>Timeline</h2>
+        <label class="session-filter">Filter by entry
+          <select id="sessionFilterSelect" class="campaign-input">
+            <option value="">All entries</option>
+            ${filterOptions}
+          </select>
+        </label>
+        <div id="sessionTimeline"></div>
+      </div>
+    `;
+
+    const timeline = document.getElementById('sessionTimeline');
+    const filterTarget = sessionFilter ? mentioned.get(sessionFilter) : null;
+    const matches = event => !filterTarget ||
+      (event.refs || []).some(ref => resolveRelated(ref, allEntries) === filterTarget);
+
+    // sessions oldest first, then anything logged outside a session
+    const groups = log.sessions.slice()
+      .sort((a, b) => a.number - b.number)
+      .map(s => ({
+        title: `Session ${s.number}`,
+        dates: `${formatStamp(s.startedAt)}${s.endedAt ? ` – ${formatStamp(s.endedAt)}` : ' – in progress'}`,
+        session: s.number
+      }));
+    groups.push({ title: 'Outside a session', dates: '', session: null });
+
+    for (const group of groups) {
+      const events = log.events
+        .map((event, index) => ({ event, index }))
+        .filter(({ event }) => event.session === group.session && matches(event));
+      if (!events.length && (group.session === null || filterTarget)) continue;
+
+      const block = document.createElement('div');
+      block.className = 'session-block';
+      block.innerHTML = `
+        <h3>${escapeHtml(group.title)}</h3>
+        ${group.dates ? `<div class="session-dates">${escapeHtml(group.dates)}</div>` : ''}
+      `;
+      if (!events.length) {
+        const empty = document.createElement('div');
+        empty.className = 'session-dates';
+        empty.textContent = 'Nothing logged.';
+        block.appendChild(empty);
+      }
+      events.forEach(({ event, index }) => block.appendChild(sessionEventNode(event, index, allEntries)));
+      timeline.appendChild(block);
+    }
+
+    if (!timeline.childElementCount) {
+      timeline.textContent = filterTarget ? 'Nothing logged for this entry.' : 'Nothing logged yet.';
+    }
+    resolveEntryLinks(timeline);
+
+    const startBtn = document.getElementById('sessionStartBtn');
+    if (startBtn) {
+      startBtn.addEventListener('click', () => {
+        const next = loadSessionLog();
+        next.sessions.push({ number: nextNumber, startedAt: new Date().toISOString(), endedAt: null });
+        next.current = nextNumber;
+        saveSessionLog(next);
+        renderSessionLogPanel();
+      });
+    }
+
+    const endBtn = document.getElementById('sessionEndBtn');
+    if (endBtn) {
+      endBtn.addEventListener('click', () => {
+        const next = loadSessionLog();
+        const session = next.sessions.find(s => s.number === next.current);
+        if (session) session.endedAt = new Date().toISOString();
+        next.current = null;
+        saveSessionLog(next);
+        renderSessionLogPanel();
+      });
+    }
+
+    document.getElementById('sessionRecapForm').addEventListener('submit', (ev) => {
+      ev.preventDefault();
+      const text = document.getElementById('sessionRecapText').value.trim();
+      if (!text) return;
+      recordSessionEvent({ kind: 'recap', text, refs: recapRefs(text) });
+      renderSessionLogPanel();
+    });
+
+    document.getElementById('sessionFilterSelect').addEventListener('change', (ev) => {
+      sessionFilter = ev.target.value;
+      renderSessionLogPanel();
+    });
+
+    timeline.addEventListener('click', (ev) => {
+      const btn = ev.target.closest('button[data-event]');
+      if (!btn || !confirm('Delete this recap?')) return;
+      const next = loadSessionLog();
+      next.events.splice(Number(btn.dataset.event), 1);
+      saveSessionLog(next);
+      renderSessionLogPanel();
+    });
+
+    updateBreadcrumbs();
+  }
+
+  /* ----------------- BULK REVEALS & UNLOCK HISTORY ----------------- */
+
+  // Every GM unlock change is kept so it can be undone, grouped into one step
+  // per action (sw_unlock_history, newest first):
+  //   [{ ts, label, changes: [{ id, on }] }]
+  // label is null for single Add/Remove clicks and described from the change.
+  const UNLOCK_HISTORY_KEY   = 'sw_unlock_history';
+  const UNLOCK_HISTORY_LIMIT = 50;
+
+  let unlockBatch    = null;  // step being filled by applyUnlocks
+  let undoingUnlocks = false; // undo doesn't record itself
+  let bulkSelection  = { category: null, ids: new Set() }; // list checkboxes
+
+  function loadUnlockHistory() {
+    const list = readJsonKey(UNLOCK_HISTORY_KEY, []);
+    return Array.isArray(list) ? list.filter(step => step && Array.isArray(step.changes)) : [];
+  }
+
+  function saveUnlockHistory(list) {
+    try {
+      campaignStore.setItem(UNLOCK_HISTORY_KEY, JSON.stringify(list));
+    } catch {}
+  }
+
+  function pushUnlockStep(step) {
+    const history = loadUnlockHistory();
+    history.unshift(step);
+    if (history.length > UNLOCK_HISTORY_LIMIT) history.length = UNLOCK_HISTORY_LIMIT;
+    saveUnlockHistory(history);
+  }
+
+  // called by setUnlocked whenever a key actually changes
+  function recordUnlockChange(id, on) {
+    if (undoingUnlocks) return;
+    if (unlockBatch) {
+      unlockBatch.changes.push({ id, on });
+      return;
+    }
+    pushUnlockStep({ ts: new Date().toISOString(), label: null, changes: [{ id, on }] });
+  }
+
+  const isUnlockSet = unlockId => campaignStore.getItem(lsKey(unlockId)) === 'true';
+
+  // set many unlock ids as one undoable step
+  function applyUnlocks(ids, on, label) {
+    const step = { ts: new Date().toISOString(), label, changes: [] };
+    unlockBatch = step;
+    try {
+      batchSessionEvents(() => {
+        for (const id of new Set(ids)) {
+          if (isUnlockSet(id) !== on) setUnlocked(id, on);
+        }
+      });
+    } finally {
+      unlockBatch = null;
+      if (step.changes.length) pushUnlockStep(step);
+    }
+  }
+
+  // changes of history[index] that undo can still revert: ids a later step
+  // changed belong to that step, and ids already back in place are skipped
+  function undoableChanges(history, index) {
+    const laterIds = new Set(history.slice(0, index).flatMap(step => step.changes.map(change => change.id)));
+    return history[index].changes
+      .filter(change => !laterIds.has(change.id) && isUnlockSet(change.id) === change.on);
+  }
+
+  function undoUnlockStep(index) {
+    const history = loadUnlockHistory();
+    if (!history[index]) return;
+    const changes = undoableChanges(history, index);
+    undoingUnlocks = true;
+    try {
+      batchSessionEvents(() => changes.forEach(change => setUnlocked(change.id, !change.on)));
+    } finally {
+      undoingUnlocks = false;
+    }
+    history.splice(index, 1);
+    saveUnlockHistory(history);
+  }
+
+  function describeUnlockStep(step, allEntries) {
+    if (step.label) return `${step.label} (${plural(step.changes.length, 'change', 'changes')})`;
+    const change = step.changes[0];
+    return `${change.on ? 'Revealed' : 'Hid'} ${unlockLabel(change.id, allEntries)}`;
+  }
+
+  // gmMode entries among `entries`, as unlock ids
+  const lockableIds = entries => entries.filter(e => e && e.gmMode).map(e => e.id);
+
+  function entryRevealGroups(entry) {
+    return Array.isArray(entry.revealGroups)
+      ? entry.revealGroups.filter(g => g && g.id && Array.isArray(g.reveals))
+      : [];
+  }
+
+  // a reveal group unlocks its entry and everything it lists
+  function revealGroupIds(entry, group, allEntries) {
+    return lockableIds([entry, ...group.reveals.map(ref => resolveRelated(ref, allEntries))]);
+  }
+
+  // "Add with Related" and reveal-group buttons under the GM's Add/Remove
+  async function fillRevealBar(entry, bar) {
+    const allEntries = await loadAllEntries();
+    if (!bar.isConnected) return; // the view changed while loading
+
+    const addButton = (label, ids, stepLabel) => {
+      if (!ids.length) return;
+      const on = !ids.every(isUnlockSet);
+      const btn = document.createElement('button');
+      btn.className = 'unlock-btn ' + (on ? 'add' : 'remove');
+      btn.textContent = `${on ? 'Add' : 'Remove'} ${label}`;
+      btn.title = `${on ? 'Add' : 'Remove'} ${plural(ids.length, 'entry', 'entries')} ${on ? 'to' : 'from'} player view in one step`;
+      btn.addEventListener('click', () => {
+        applyUnlocks(ids, on, `${on ? 'Revealed' : 'Hid'} ${stepLabel}`);
+        renderEntryDetail(entry);
+      });
+      bar.appendChild(btn);
+    };
+
+    const related = lockableIds([entry, ...relatedTargets(entry, allEntries)]);
+    if (related.length > 1 || (related.length === 1 && related[0] !== entry.id)) {
+      addButton('with Related', related, `${entry.name} and related entries`);
+    }
+    for (const group of entryRevealGroups(entry)) {
+      addButton(`Group: ${group.title || group.id}`, revealGroupIds(entry, group, allEntries),
+        `${group.title || group.id} (${entry.name})`);
+    }
+  }
+
+  function bulkSelectionFor(category) {
+    if (bulkSelection.category !== category) bulkSelection = { category, ids: new Set() };
+    return bulkSelection.ids;
+  }
+
+  // checkbox toolbar above a GM category list of the gmMode `entries` shown
+  function renderBulkBar(entries, selected) {
+    const bar = document.createElement('div');
+    bar.className = 'bulk-bar';
+
+    const count = document.createElement('span');
+    count.className = 'bulk-count';
+    bar.appendChild(count);
+
+    const addAction = (label, handler) => {
+      const btn = document.createElement('button');
+      btn.className = 'data-btn';
+      btn.textContent = label;
+      btn.addEventListener('click', handler);
+      bar.appendChild(btn);
+      return btn;
+    };
+
+    const ids = entries.map(e => e.id);
+    addAction('Select All', () => {
+      ids.forEach(id => selected.add(id));
+      renderListForActiveCategory();
+    });
+    addAction('Clear', () => {
+      selected.clear();
+      renderListForActiveCategory();
+    });
+    const apply = on => () => {
+      const chosen = ids.filter(id => selected.has(id));
+      applyUnlocks(chosen, on, `${on ? 'Bulk added' : 'Bulk removed'} ${plural(chosen.length, 'entry', 'entries')}`);
+      selected.clear();
+      renderListForActiveCategory();
+    };
+    const addBtn    = addAction('Add Selected', apply(true));
+    const removeBtn = addAction('Remove Selected', apply(false));
+
+    bar.update = () => {
+      const n = ids.filter(id => selected.has(id)).length;
+      count.textContent = `${n} selected`;
+      addBtn.disabled = removeBtn.disabled = !n;
+    };
+    bar.update();
+    return bar;
+  }
+
+  async function renderRevealsPanel() {
+    enterToolView('reveals');
+
+    if (!isGM) {
+      entryContent.innerHTML = `
+        <h1>GM Tools – Reveals</h1>
+        <p>GM Tools are restricted. Unlock GM Mode to manage reveals.</p>
+      `;
+      updateBreadcrumbs();
+      return;
+    }
+
+    const allEntries = await loadAllEntries();
+    if (activeTool !== 'reveals') return; // navigated away while loading
+
+    entryContent.innerHTML = `
+      <h1>GM Reveals</h1>
+      <p style="font-size:13px; margin-bottom:10px; opacity:0.85;">
+        Reveal groups come from the entries' <code>revealGroups</code>. Every unlock change is kept here and can be undone.
+      </p>
+      <div class="data-panel">
+        <h2>Reveal Groups</h2>
+        <div id="revealGroupList"></div>
+      </div>
+      <div class="data-panel">
+        <h2>Unlock History</h2>
+        <div id="unlockHistoryList"></div>
+      </div>
+    `;
+
+    const groupList = document.getElementById('revealGroupList');
+    for (const entry of allEntries) {
+      for (const group of entryRevealGroups(entry)) {
+        const ids = revealGroupIds(entry, group, allEntries);
+        const shown = ids.filter(isUnlockSet).length;
+        const on = shown < ids.length;
+
+        const row = document.createElement('div');
+        row.className = 'campaign-row';
+        row.innerHTML = `
+          <span class="campaign-name">${escapeHtml(group.title || group.id)}
+            <span class="section-badge">${escapeHtml(entry.name)} · ${shown}/${ids.length} revealed</span>
+          </span>
+        `;
+        const btn = document.createElement('button');
+        btn.className = 'data-btn' + (on ? '' : ' danger');
+        btn.textContent = on ? 'Reveal' : 'Hide';
+        btn.disabled = !ids.length;
+        btn.addEventListener('click', () => {
+          applyUnlocks(ids, on, `${on ? 'Revealed' : 'Hid'} ${group.title || group.id} (${entry.name})`);
+          renderRevealsPanel();
+        });
+        row.appendChild(btn);
+        groupList.appendChild(row);
+      }
+    }
+    if (!groupList.childElementCount) groupList.textContent = 'No entry defines reveal groups.';
+
+    const historyList = document.getElementById('unlockHistoryList');
+    const history = loadUnlockHistory();
+    history.forEach((step, index) => {
+      const row = document.createElement('div');
+      row.className = 'campaign-row';
+
+      const label = document.createElement('span');
+      label.className = 'campaign-name';
+      label.textContent = `${formatStamp(step.ts)} · ${describeUnlockStep(step, allEntries)}`;
+      label.title = step.changes.map(c => `${c.on ? '+' : '-'} ${c.id}`).join('\n');
+      row.appendChild(label);
+
+      const pending = undoableChanges(history, index).length;
+      const undo = document.createElement('button');
+      undo.className = 'data-btn';
+      undo.textContent = 'Undo';
+      undo.disabled = !pending;
+      if (pending < step.changes.length) {
+        undo.title = pending
+          ? `${plural(pending, 'change', 'changes')} left to undo; later steps changed the rest`
+          : 'Later steps already changed these unlocks';
+      }
+      undo.addEventListener('click', () => {
+        undoUnlockStep(index);
+        renderRevealsPanel();
+      });
+      row.appendChild(undo);
+      historyList.appendChild(row);
+    });
+    if (!historyList.childElementCount) historyList.textContent = 'No unlock changes yet.';
+
+    updateBreadcrumbs();
+  }
+
+  /* ----------------- CAMPAIGN DATA (EXPORT / IMPORT) ----------------- */
+
+  const CAMPAIGN_EXPORT_FORMAT  = 'sw-codex-campaign';
+  const CAMPAIGN_EXPORT_VERSION = 2;
+  const UNLOCK_PREFIX           = lsKey('');
+
+  // every key of the active campaign starting with `prefix`
+  function storageKeys(prefix) {
+    return campaignStore.keys(prefix);
+  }
+
+  function readJsonKey(key, fallback) {
+    try {
+      const raw = campaignStore.getItem(key);
+      return raw ? JSON.parse(raw) : fallback;
+    } catch {
+      return fallback;
+    }
+  }
+
+  // what each campaign key holds, for the export summary and import preview;
+  // the first match wins
+  const CAMPAIGN_KEY_KINDS = [
+    { label: 'Unlocks',          match: key => key.startsWith(UNLOCK_PREFIX) },
+    { label: 'Notes',            match: key => key.startsWith(NOTES_PREFIX) },
+    { label: 'Annotations',      match: key => key.startsWith(ANNOTATIONS_PREFIX) },
+    { label: 'Mission progress', match: key => key.startsWith(MISSION_PREFIX) },
+    { label: 'Party',            match: key => key === PARTY_KEY },
+    { label: 'Destiny Pool',     match: key => key === DESTINY_STATE_KEY || key === DESTINY_LOG_KEY },
+    { label: 'Session log',      match: key => key === SESSIONS_KEY },
+    { label: 'Encounter',        match: key => key === ENCOUNTER_KEY },
+    { label: 'Unlock history',   match: key => key === UNLOCK_HISTORY_KEY },
+    { label: 'Other',            match: () => true }
+  ];
+
+  const campaignKeyKind = key => CAMPAIGN_KEY_KINDS.find(kind => kind.match(key)).label;
+
+  // every stored key of the active campaign, plus its homebrew records
+  function collectCampaignState() {
+    const keys = {};
+    for (const key of campaignKeys(activeCampaignId).sort()) keys[key] = campaignStore.getItem(key);
+
+    const campaign = activeCampaign();
+    return {
+      format:     CAMPAIGN_EXPORT_FORMAT,
+      version:    CAMPAIGN_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      campaign:   { id: campaign.id, name: campaign.name },
+      keys,
+      homebrew: homebrewRecords.map(({ category, id, mode, fields, updatedAt }) =>
+        ({ category, id, mode, fields, updatedAt }))
+    };
+  }
+
+  // version 1 exports listed unlocks, notes, destiny and party explicitly
+  function legacyCampaignKeys(data) {
+    const keys = {};
+    if (Array.isArray(data.unlocks)) {
+      data.unlocks.filter(id => typeof id === 'string').forEach(id => { keys[lsKey(id)] = 'true'; });
+    }
+    if (data.notes && typeof data.notes === 'object') {
+      for (const [entryId, list] of Object.entries(data.notes)) {
+        if (!Array.isArray(list)) continue;
+        const notes = list.filter(n => n && typeof n.text === 'string');
+        if (notes.length) keys[notesKeyFor(entryId)] = JSON.stringify(sortNotes(notes));
+      }
+    }
+    const pool = data.destiny && data.destiny.pool;
+    if (pool) {
+      keys[DESTINY_STATE_KEY] = JSON.stringify({
+        light: Number.isFinite(pool.light) ? pool.light : 0,
+        dark:  Number.isFinite(pool.dark)  ? pool.dark  : 0
+      });
+      keys[DESTINY_LOG_KEY] = JSON.stringify(Array.isArray(data.destiny.log) ? data.destiny.log.slice(0, 50) : []);
+    }
+    if (Array.isArray(data.party)) {
+      keys[PARTY_KEY] = JSON.stringify(
+        data.party.filter(pc => pc && typeof pc.id === 'string' && typeof pc.name === 'string'));
+    }
+    return keys;
+  }
+
+  // throws with a readable message when the file isn't a campaign export
+  function parseCampaignExport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('File is not valid JSON.');
+    }
+    if (!data || data.format !== CAMPAIGN_EXPORT_FORMAT) {
+      throw new Error('File is not a codex campaign export.');
+    }
+    if (!Number.isInteger(data.version) || data.version > CAMPAIGN_EXPORT_VERSION) {
+      throw new Error(`Unsupported export version: ${data.version}`);
+    }
+
+    const legacy = data.version < 2;
+    const keys = {};
+    if (legacy) {
+      Object.assign(keys, legacyCampaignKeys(data));
+    } else if (data.keys && typeof data.keys === 'object') {
+      for (const [key, value] of Object.entries(data.keys)) {
+        if (key && typeof value === 'string') keys[key] = value;
+      }
+    }
+
+    return {
+      keys,
+      // null: the file says nothing about homebrew, which is left alone
+      homebrew: Array.isArray(data.homebrew)
+        ? data.homebrew.filter(r => r && typeof r.category === 'string' && typeof r.id === 'string' &&
+            Object.keys(HOMEBREW_MODES).includes(r.mode))
+        : null,
+      // a replace only clears the kinds of data the file carries
+      covers: legacy
+        ? ['Unlocks', 'Notes', 'Destiny Pool'].concat(Array.isArray(data.party) ? ['Party'] : [])
+        : null,
+      exportedAt: data.exportedAt || null,
+      campaignName: data.campaign && typeof data.campaign.name === 'string' ? data.campaign.name : null
+    };
+  }
+
+  // a note's creation time identifies it; edits only touch text and editedAt
+  const noteKey = note => String(note.ts);
+  const noteRevision = note => String(note.editedAt || note.ts);
+
+  const plural = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+
+  // notes from both lists; when both have a note, the later edit wins
+  function mergeNotes(current, incoming) {
+    const byKey = new Map(current.map(note => [noteKey(note), note]));
+    for (const note of incoming) {
+      const mine = byKey.get(noteKey(note));
+      if (!mine || noteRevision(note) > noteRevision(mine)) byKey.set(noteKey(note), note);
+    }
+    return sortNotes([...byKey.values()]);
+  }
+
+  const isDestinyKey = key => key === DESTINY_STATE_KEY || key === DESTINY_LOG_KEY;
+
+  function parseJsonList(raw) {
+    try {
+      const value = JSON.parse(raw);
+      return Array.isArray(value) ? value : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // merge mode: notes and party sheets combine; for any other key the file wins
+  function mergeCampaignValue(key, mine, theirs) {
+    const a = mine === null ? null : parseJsonList(mine);
+    const b = parseJsonList(theirs);
+    if (a && b && key.startsWith(NOTES_PREFIX)) return JSON.stringify(mergeNotes(a, b));
+    // imported sheets win over local ones with the same id
+    if (a && b && key === PARTY_KEY) {
+      const theirIds = new Set(b.map(pc => pc.id));
+      return JSON.stringify(a.filter(pc => !theirIds.has(pc.id)).concat(b));
+    }
+    return theirs;
+  }
+
+  // every campaign key the import changes: value to store, or null to remove
+  function campaignImportWrites(incoming, mode, includeDestiny) {
+    const writes = new Map();
+    const skip = key => !includeDestiny && isDestinyKey(key);
+
+    if (mode === 'replace') {
+      for (const key of campaignKeys(activeCampaignId)) {
+        if (skip(key) || (incoming.covers && !incoming.covers.includes(campaignKeyKind(key)))) continue;
+        writes.set(key, null);
+      }
+    }
+
+    for (const [key, value] of Object.entries(incoming.keys)) {
+      if (skip(key)) continue;
+      writes.set(key, mode === 'replace' ? value : mergeCampaignValue(key, campaignStore.getItem(key), value));
+    }
+
+    for (const [key, value] of writes) {
+      if (value === campaignStore.getItem(key)) writes.delete(key);
+    }
+    return writes;
+  }
+
+  // homebrew records the import stores in and deletes from the active campaign
+  function homebrewImportChanges(incoming, mode) {
+    const changes = { put: [], remove: [], added: 0 };
+    if (!incoming.homebrew) return changes;
+
+    const refOf  = r => `${r.category}/${r.id}`;
+    const mine   = new Map(homebrewRecords.map(r => [refOf(r), r]));
+    const theirs = new Set(incoming.homebrew.map(refOf));
+
+    for (const record of incoming.homebrew) {
+      const local = mine.get(refOf(record));
+      if (!local) changes.added++;
+      else if (local.mode === record.mode && JSON.stringify(local.fields) === JSON.stringify(record.fields)) continue;
+      changes.put.push(record);
+    }
+    if (mode === 'replace') changes.remove = homebrewRecords.filter(r => !theirs.has(refOf(r)));
+    return changes;
+  }
+
+  // one transaction, so a failure leaves the store as it was
+  async function writeHomebrewChanges(changes) {
+    if (!changes.put.length && !changes.remove.length) return;
+    await homebrewTx('readwrite', store => {
+      changes.remove.forEach(r => store.delete(r.key));
+      changes.put.forEach(r => store.put(Object.assign({}, r, {
+        key: homebrewKey(activeCampaignId, r.category, r.id),
+        campaign: activeCampaignId,
+        fields: r.fields || {}
+      })));
+    });
+    await reloadHomebrewOverlay();
+  }
+
+  // what applying `incoming` would change, per kind of data, without touching storage
+  function diffCampaignState(incoming, mode, includeDestiny) {
+    const kinds   = new Map();
+    const unlocks = { added: [], removed: [] };
+
+    for (const [key, value] of campaignImportWrites(incoming, mode, includeDestiny)) {
+      const label = campaignKeyKind(key);
+      if (!kinds.has(label)) kinds.set(label, { added: 0, updated: 0, removed: 0 });
+      const counts = kinds.get(label);
+      if (value === null)                           counts.removed++;
+      else if (campaignStore.getItem(key) === null) counts.added++;
+      else                                          counts.updated++;
+
+      if (label === 'Unlocks') {
+        (value === null ? unlocks.removed : unlocks.added).push(key.slice(UNLOCK_PREFIX.length));
+      }
+    }
+
+    // preview lines follow CAMPAIGN_KEY_KINDS
+    const order = CAMPAIGN_KEY_KINDS.map(kind => kind.label);
+    const sorted = new Map([...kinds].sort(([a], [b]) => order.indexOf(a) - order.indexOf(b)));
+
+    const homebrew = homebrewImportChanges(incoming, mode);
+    if (homebrew.put.length || homebrew.remove.length) {
+      sorted.set('Homebrew', {
+        added:   homebrew.added,
+        updated: homebrew.put.length - homebrew.added,
+        removed: homebrew.remove.length
+      });
+    }
+    return { kinds: sorted, unlocks };
+  }
+
+  // all or nothing: when storage runs out, every touched key is put back.
+  // Returns a function that undoes the writes.
+  function writeCampaignKeys(writes) {
+    const before = new Map([...writes.keys()].map(key => [key, campaignStore.getItem(key)]));
+    const restore = () => {
+      for (const [key, value] of before) if (value === null) campaignStore.removeItem(key);
+      for (const [key, value] of before) {
+        if (value === null) continue;
+        try {
+          campaignStore.setItem(key, value);
+        } catch {}
+      }
+    };
+
+    try {
+      // removals first, so a replace frees space before it needs it
+      for (const [key, value] of writes) if (value === null) campaignStore.removeItem(key);
+      for (const [key, value] of writes) if (value !== null) campaignStore.setItem(key, value);
+    } catch (e) {
+      console.warn('campaign import failed', e);
+      restore();
+      throw new Error('Not enough storage on this device for the import; nothing was changed.');
+    }
+    return restore;
+  }
+
+  // rejects (with storage untouched) when the import can't be written
+  async function applyCampaignImport(incoming, mode, includeDestiny) {
+    const homebrew = homebrewImportChanges(incoming, mode);
+    const restore  = writeCampaignKeys(campaignImportWrites(incoming, mode, includeDestiny));
+    try {
+      await writeHomebrewChanges(homebrew);
+    } catch (e) {
+      restore();
+      throw new Error(`Could not import homebrew (${e.message || e}); nothing was changed.`);
+    }
+
+    destinyState = loadDestinyState();
+    destinyLog   = loadDestinyLog();
+    encounter    = loadEncounter();
+    sendSyncSnapshot();
+    if (includeDestiny) syncSend({ type: 'destiny', state: destinyState, log: destinyLog });
+  }
+
+  async function renderCampaignDataPanel() {
+    enterToolView('data');
+
+    if (!isGM) {
+      entryContent.innerHTML = `
+        <h1>GM Tools – Campaign Data</h1>
+        <p>GM Tools are restricted. Unlock GM Mode to export or import campaign data.</p>
+      `;
+      updateBreadcrumbs();
+      return;
+    }
+
+    await loadHomebrew();
+    if (activeTool !== 'data') return; // navigated away while loading
+
+    // stored keys per kind of data, in CAMPAIGN_KEY_KINDS order
+    const state = collectCampaignState();
+    const counts = new Map(CAMPAIGN_KEY_KINDS.map(kind => [kind.label, 0]));
+    Object.keys(state.keys).forEach(key => counts.set(campaignKeyKind(key), counts.get(campaignKeyKind(key)) + 1));
+    counts.set('Homebrew', state.homebrew.length);
+    const summary = [...counts].filter(([, n]) => n).map(([label, n]) => `${label} (${n})`).join(' · ');
+
+    entryContent.innerHTML = `
+      <h1>GM Campaign Data</h1>
+      <p style="font-size:13px; margin-bottom:10px; opacity:0.85;">
+        Everything <strong>${escapeHtml(activeCampaign().name)}</strong> stores in this browser (unlocks, notes, annotations, mission progress, party, Destiny Pool, session log, encounter, unlock history and homebrew) lives only here. Export it to a file to back up or move the campaign.
+      </p>
+
+      <div class="data-panel">
+        <h2>Export</h2>
+        <div class="data-summary">${escapeHtml(summary || 'Nothing stored yet')}</div>
+        <button id="campaignExportBtn" class="data-btn">Download Export</button>
+      </div>
+
+      <div class="data-panel">
+        <h2>Import</h2>
+        <input type="file" id="campaignImportFile" accept="application/json,.json">
+        <div class="data-mode">
+          <label><input type="radio" name="campaignImportMode" value="merge" checked> Merge with this device</label>
+          <label><input type="radio" name="campaignImportMode" value="replace"> Replace all campaign data</label>
+          <label><input type="checkbox" id="campaignImportDestiny" checked> Import Destiny Pool</label>
+        </div>
+        <div id="campaignImportPreview" class="data-preview"></div>
+        <button id="campaignImportBtn" class="data-btn" disabled>Apply Import</button>
+      </div>
+    `;
+
+    const fileInput   = document.getElementById('campaignImportFile');
+    const previewBox  = document.getElementById('campaignImportPreview');
+    const applyBtn    = document.getElementById('campaignImportBtn');
+    const destinyBox  = document.getElementById('campaignImportDestiny');
+    const modeInputs  = entryContent.querySelectorAll('input[name="campaignImportMode"]');
+
+    let incoming = null;
+
+    const currentMode = () => {
+      const checked = entryContent.querySelector('input[name="campaignImportMode"]:checked');
+      return checked ? checked.value : 'merge';
+    };
+
+    function drawPreview() {
+      previewBox.innerHTML = '';
+      applyBtn.disabled = !incoming;
+      if (!incoming) return;
+
+      const diff = diffCampaignState(incoming, currentMode(), destinyBox.checked);
+      const lines = [
+        `Export from: ${incoming.campaignName || 'unnamed campaign'}, ` +
+          `${incoming.exportedAt ? new Date(incoming.exportedAt).toLocaleString() : 'unknown date'}`,
+        `Importing into: ${activeCampaign().name}`
+      ];
+      for (const [label, c] of diff.kinds) {
+        lines.push(`${label}: +${c.added} added, ~${c.updated} updated, -${c.removed} removed`);
+      }
+      if (!diff.kinds.size) lines.push('No changes.');
+
+      lines.forEach(text => {
+        const row = document.createElement('div');
+        row.textContent = text;
+        previewBox.appendChild(row);
+      });
+
+      if (diff.unlocks.added.length || diff.unlocks.removed.length) {
+        const detail = document.createElement('div');
+        detail.className = 'data-preview-detail';
+        detail.textContent = [
+          ...diff.unlocks.added.map(id => `+ ${id}`),
+          ...diff.unlocks.removed.map(id => `- ${id}`)
+        ].join('  ');
+        previewBox.appendChild(detail);
+      }
+    }
+
+    document.getElementById('campaignExportBtn').addEventListener('click', () => {
+      const data = collectCampaignState();
+      const slug = slugify(data.campaign.name) || 'campaign';
+      downloadJson(`sw-codex-${slug}-${data.exportedAt.slice(0, 10)}.json`, data);
+    });
+
+    fileInput.addEventListener('change', () => {
+      incoming = null;
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) {
+        drawPreview();
+        return;
+      }
+      file.text().then(text => {
+        incoming = parseCampaignExport(text);
+        drawPreview();
+      }).catch(e => {
+        drawPreview();
+        previewBox.textContent = e.message;
+      });
+    });
+
+    modeInputs.forEach(input => input.addEventListener('change', drawPreview));
+    destinyBox.addEventListener('change', drawPreview);
+
+    applyBtn.addEventListener('click', async () => {
+      if (!incoming) return;
+      const mode = currentMode();
+      const warning = mode === 'replace'
+        ? `Replace all of ${activeCampaign().name}'s data on this device with the imported file?`
+        : 'Merge the imported file into this device?';
+      if (!confirm(warning)) return;
+
+      applyBtn.disabled = true;
+      try {
+        await applyCampaignImport(incoming, mode, destinyBox.checked);
+      } catch (e) {
+        applyBtn.disabled = false;
+        const error = document.createElement('div');
+        error.textContent = e.message;
+        error.style.color = '#ff8a80';
+        previewBox.prepend(error);
+        return;
+      }
+      renderCampaignDataPanel();
+    });
+
+    updateBreadcrumbs();
+  }
+
+  /* ----------------- CAMPAIGNS ----------------- */
+
+  function activeCampaign() {
+    return campaigns.find(c => c.id === activeCampaignId) || campaigns[0];
+  }
+
+  function slugify(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+  }
+
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+  }
+
+  function newCampaignId(name) {
+    const base = slugify(name) || 'campaign';
+    let id = base;
+    for (let n = 2; campaigns.some(c => c.id === id); n++) id = `${base}_${n}`;
+    return id;
+  }
+
+  function createCampaign(name) {
+    const campaign = { id: newCampaignId(name), name, createdAt: new Date().toISOString() };
+    campaigns.push(campaign);
+    saveCampaigns();
+    return campaign;
+  }
+
+  function renameCampaign(id, name) {
+    const campaign = campaigns.find(c => c.id === id);
+    if (!campaign) return;
+    campaign.name = name;
+    saveCampaigns();
+  }
+
+  // new campaign holding a copy of every stored key of `id`; when storage
+  // runs out the partial copy and its campaign record are removed again
+  function duplicateCampaign(id, name) {
+    const copy = createCampaign(name);
+    try {
+      for (const key of campaignKeys(id)) {
+        localStorage.setItem(campaignPrefix(copy.id) + key,
+          localStorage.getItem(campaignPrefix(id) + key));
+      }
+    } catch (e) {
+      console.warn('could not duplicate campaign', e);
+      for (const key of campaignKeys(copy.id)) localStorage.removeItem(campaignPrefix(copy.id) + key);
+      campaigns = campaigns.filter(c => c.id !== copy.id);
+      saveCampaigns();
+      throw new Error('Not enough storage on this device to copy the campaign.');
+    }
+    copyCampaignHomebrew(id, copy.id);
+    return copy;
+  }
+
+  function deleteCampaign(id) {
+    if (campaigns.length <= 1) return;
+    for (const key of campaignKeys(id)) localStorage.removeItem(campaignPrefix(id) + key);
+    deleteCampaignHomebrew(id);
+    campaigns = campaigns.filter(c => c.id !== id);
+    saveCampaigns();
+    if (activeCampaignId === id) switchCampaign(campaigns[0].id);
+  }
+
+  // point every store at another campaign and redraw with its state
+  function switchCampaign(id) {
+    if (!campaigns.some(c => c.id === id)) return;
+    activeCampaignId = id;
+    try {
+      localStorage.setItem(ACTIVE_CAMPAIGN_KEY, id);
+    } catch {}
+
+    destinyState = loadDestinyState();
+    destinyLog   = loadDestinyLog();
+    encounter    = loadEncounter();
+
+    renderCampaignSelect();
+    refreshCurrentView();
+    sendSyncSnapshot();
+    reloadHomebrewOverlay().then(refreshAfterOverlayChange);
+  }
+
+  // the open entry may have been changed or hidden by the campaign's homebrew
+  function refreshAfterOverlayChange() {
+    if (activeEntry) {
+      activeEntry = (cache[activeEntry.category] || []).find(e => e.id === activeEntry.id) || null;
+    }
+    refreshCurrentView();
+  }
+
+  function renderCampaignSelect() {
+    campaignSelect.innerHTML = '';
+    for (const c of campaigns) {
+      const opt = document.createElement('option');
+      opt.value = c.id;
+      opt.textContent = c.name;
+      campaignSelect.appendChild(opt);
+    }
+    campaignSelect.value = activeCampaignId;
+    // players can see which campaign is loaded but only the GM switches
+    campaignSelect.disabled = !isGM;
+  }
+
+  function renderCampaignsPanel() {
+    enterToolView('campaigns');
+
+    if (!isGM) {
+      entryContent.innerHTML = `
+        <h1>GM Tools – Campaigns</h1>
+        <p>GM Tools are restricted. Unlock GM Mode to manage campaigns.</p>
+      `;
+      updateBreadcrumbs();
+      return;
+    }
+
+    entryContent.innerHTML = `
+      <h1>GM Campaigns</h1>
+      <p style="font-size:13px; margin-bottom:10px; opacity:0.85;">
+        Each campaign keeps its own unlocks, field notes, Destiny Pool and tool state on this device.
+      </p>
+      <div class="data-panel">
+        <h2>Campaigns</h2>
+        <div id="campaignList"></div>
+      </div>
+      <div class="data-panel">
+        <h2>New Campaign</h2>
+        <form id="campaignCreateForm" class="campaign-form">
+          <input type="text" id="campaignCreateName" class="campaign-input" placeholder="Campaign name" maxlength="60">
+          <button type="submit" class="data-btn">Create</button>
+        </form>
+      </div>
+    `;
+
+    const listEl = document.getElementById('campaignList');
+
+    for (const campaign of campaigns) {
+      const row = document.createElement('div');
+      row.className = 'campaign-row';
+      if (campaign.id === activeCampaignId) row.classList.add('active');
+
+      const name = document.createElement('span');
+      name.className = 'campaign-name';
+      name.textContent = campaign.name + (campaign.id === activeCampaignId ? ' (active)' : '');
+      row.appendChild(name);
+
+      const addAction = (label, handler, extraClass) => {
+        const btn = document.createElement('button');
+        btn.className = 'data-btn' + (extraClass ? ` ${extraClass}` : '');
+        btn.textContent = label;
+        btn.addEventListener('click', handler);
+        row.appendChild(btn);
+      };
+
+      if (campaign.id !== activeCampaignId) {
+        addAction('Switch', () => {
+          switchCampaign(campaign.id);
+        });
+      }
+
+      addAction('Rename', () => {
+        const next = (prompt('Rename campaign', campaign.name) || '').trim();
+        if (!next) return;
+        renameCampaign(campaign.id, next);
+        renderCampaignSelect();
+        renderCampaignsPanel();
+      });
+
+      addAction('Duplicate', () => {
+        const next = (prompt('Name for the copy', `${campaign.name} (copy)`) || '').trim();
+        if (!next) return;
+        try {
+          duplicateCampaign(campaign.id, next);
+        } catch (e) {
+          alert(e.message);
+          return;
+        }
+        renderCampaignSelect();
+        renderCampaignsPanel();
+      });
+
+      if (campaigns.length > 1) {
+        addAction('Delete', () => {
+          if (!confirm(`Delete "${campaign.name}" and all of its unlocks, notes and tool state on this device?`)) return;
+          deleteCampaign(campaign.id);
+          renderCampaignSelect();
+          renderCampaignsPanel();
+        }, 'danger');
+      }
+
+      listEl.appendChild(row);
+    }
+
+    document.getElementById('campaignCreateForm').addEventListener('submit', (ev) => {
+      ev.preventDefault();
+      const input = document.getElementById('campaignCreateName');
+      const name = input.value.trim();
+      if (!name) return;
+      const campaign = createCampaign(name);
+      switchCampaign(campaign.id);
+    });
+
+    updateBreadcrumbs();
+  }
+
+  campaignSelect.addEventListener('change', () => {
+    switchCampaign(campaignSelect.value);
+  });
+
+  renderCampaignSelect();
+
+  /* ----------------- ENTRY EDITOR ----------------- */
+
+  const ENTRY_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+  // form state survives re-renders (sync refreshes, GM lock, route changes)
+  let editorForm = null;
+
+  // a form for `entry`, or a blank one for a new entry
+  function editorFormFor(entry) {
+    const source = entry || {};
+    return {
+      original: entry ? { category: entry.category, id: entry.id } : null,
+      base:     source,
+      category: source.category || activeCategory || categories[0],
+      name:     source.name || '',
+      id:       source.id || '',
+      idEdited: Boolean(entry),
+      image:    source.image || '',
+      description: source.description || '',
+      tags:     entryTags(source).join(', '),
+      gmMode:   Boolean(source.gmMode),
+      related:  Array.isArray(source.related)
+        ? source.related.filter(ref => ref && ref.id).map(ref => ({ id: ref.id, category: ref.category }))
+        : []
+    };
+  }
+
+  const relatedRefLabel = ref => ref.category ? `${ref.category}/${ref.id}` : ref.id;
+
+  function parseRelatedRef(text) {
+    const [first, second] = String(text || '').trim().split('/');
+    if (!first) return null;
+    return second ? { category: first, id: second } : { id: first };
+  }
+
+  // entry JSON in the field order used by the shipped files; fields the
+  // form doesn't cover (sections, stats, ...) are carried over untouched
+  function editorEntryJson(form) {
+    const tags = form.tags.split(',').map(t => t.trim()).filter(Boolean);
+    const out = {
+      id:          form.id,
+      name:        form.name.trim(),
+      description: form.description
+    };
+    if (form.image.trim()) out.image = form.image.trim();
+    out.gmMode = form.gmMode;
+    if (tags.length) out.tags = tags;
+    if (form.related.length) out.related = form.related.map(ref => Object.assign({}, ref));
+
+    for (const [key, value] of Object.entries(form.base)) {
+      if (key === 'category' || key in out) continue;
+      if (['image', 'tags', 'related'].includes(key)) continue;
+      out[key] = value;
+    }
+    return out;
+  }
+
+  // problems that would make the file fail tools/validate-entries.js
+  function editorProblems(form, allEntries) {
+    const problems = [];
+    if (!form.name.trim()) problems.push('Name is required.');
+    if (!form.description.trim()) problems.push('Description is required.');
+    if (!ENTRY_ID_PATTERN.test(form.id)) {
+      problems.push('Id must be lowercase letters, digits, "_" or "-".');
+    }
+
+    const isOriginal = e => form.original
+      && e.category === form.original.category && e.id === form.original.id;
+    if (allEntries.some(e => e.category === form.category && e.id === form.id && !isOriginal(e))) {
+      problems.push(`Another ${form.category} entry already uses the id "${form.id}".`);
+    }
+
+    for (const ref of form.related) {
+      if (!resolveRelated(ref, allEntries)) problems.push(`Related entry not found: ${relatedRefLabel(ref)}`);
+    }
+    return problems;
+  }
+
+  const normalizeEntryId = id => String(id).toLowerCase().replace(/-/g, '_');
+
+  // the manifest file holding this entry, so a download overwrites it in place
+  function entryFileName(files, id) {
+    const match = (files || []).find(f => normalizeEntryId(f.replace(/\.json$/, '')) === normalizeEntryId(id));
+    return match || `${id}.json`;
+  }
+
+  async function renderEntryEditor(entry) {
+    enterToolView('editor');
+
+    if (!isGM) {
+      entryContent.innerHTML = `
+        <h1>GM Tools – Entry Editor</h1>
+        <p>GM Tools are restricted. Unlock GM Mode to edit entries.</p>
+      `;
+      updateBreadcrumbs();
+      return;
+    }
+
+    if (entry || !editorForm) editorForm = editorFormFor(entry || null);
+    const form = editorForm;
+    const allEntries = await loadAllEntries();
+    if (activeTool !== 'editor') return; // navigated away while loading
+
+    const draftCount = Object.keys(entryDrafts).length;
+    const categoryOptions = categories.map(cat =>
+      `<option value="${cat}"${cat === form.category ? ' selected' : ''}>${cat}</option>`).join('');
+    const pickerOptions = allEntries.map(e =>
+      `<option value="${escapeHtml(`${e.category}/${e.id}`)}">${escapeHtml(e.name)}</option>`).join('');
+
+    entryContent.innerHTML = `
+      <h1>GM Entry Editor</h1>
+      <p style="font-size:13px; margin-bottom:10px; opacity:0.85;">
+        ${form.original
+          ? `Editing <strong>${escapeHtml(form.original.category)}/${escapeHtml(form.original.id)}</strong>.`
+          : 'Creating a new entry.'}
+        Download the entry file and manifest into <code>entries/&lt;category&gt;/</code>, or save a draft that overlays the shipped data on this device.
+        ${draftCount ? `(${plural(draftCount, 'draft', 'drafts')} saved)` : ''}
+      </p>
+
+      <div class="editor-layout">
+        <div class="data-panel editor-form">
+          <label>Category <select id="editorCategory">${categoryOptions}</select></label>
+          <label>Name <input type="text" id="editorName" value="${escapeHtml(form.name)}"></label>
+          <label>Id <input type="text" id="editorId" value="${escapeHtml(form.id)}" spellcheck="false"></label>
+          <label>Image <input type="text" id="editorImage" value="${escapeHtml(form.image)}" placeholder="images/name.png"></label>
+          <label>Description
+            <textarea id="editorDescription" rows="10">${escapeHtml(form.description)}</textarea>
+          </label>
+          <label>Tags <input type="text" id="editorTags" value="${escapeHtml(form.tags)}" placeholder="comma, separated"></label>
+          <label class="editor-check"><input type="checkbox" id="editorGmMode"${form.gmMode ? ' checked' : ''}> GM only until revealed (gmMode)</label>
+          <div class="editor-related">
+            <span>Related</span>
+            <div id="editorRelatedChips" class="tag-list"></div>
+            <input type="text" id="editorRelatedInput" list="editorRelatedOptions" placeholder="category/id">
+            <datalist id="editorRelatedOptions">${pickerOptions}</datalist>
+          </div>
+          <div id="editorProblems" class="editor-problems"></div>
+          <div class="editor-actions">
+            <button id="editorDownloadBtn" class="data-btn">Download Entry</button>
+            <button id="editorManifestBtn" class="data-btn">Download Manifest</button>
+            <button id="editorSaveBtn" class="data-btn">Save Draft</button>
+            <button id="editorHomebrewBtn" class="data-btn">Save to Homebrew</button>
+            <button id="editorDiscardBtn" class="data-btn danger">Discard Draft</button>
+            <button id="editorNewBtn" class="data-btn">New Entry</button>
+          </div>
+          <div id="editorStatus" class="data-preview"></div>
+        </div>
+        <div class="editor-preview" id="editorPreview"></div>
+      </div>
+    `;
+
+    const field       = id => document.getElementById(id);
+    const idInput     = field('editorId');
+    const problemsBox = field('editorProblems');
+    const statusBox   = field('editorStatus');
+    const previewBox  = field('editorPreview');
+    const chipsBox    = field('editorRelatedChips');
+    const relatedIn   = field('editorRelatedInput');
+    const draftKeyNow = () => draftKey(form.category, form.id);
+
+    const setStatus = text => { statusBox.textContent = text; };
+
+    function drawPreview() {
+      const json = editorEntryJson(form);
+      previewBox.innerHTML = '';
+
+      const title = document.createElement('h1');
+      title.textContent = json.name || 'Untitled entry';
+      previewBox.appendChild(title);
+
+      if (json.image) {
+        const img = document.createElement('img');
+        img.src = json.image;
+        img.alt = json.name;
+        previewBox.appendChild(img);
+      }
+
+      const description = document.createElement('div');
+      description.className = 'entry-description';
+      description.appendChild(renderMarkup(json.description));
+      previewBox.appendChild(description);
+
+      const chips = buildTagChips(entryTags(json));
+      if (chips) previewBox.appendChild(chips);
+
+      resolveEntryLinks(previewBox);
+    }
 
-      // newest first
-      notes.unshift(note);
-      saveNotes(entry.id, notes);
-      textarea.value = '';
-      renderLog();
+    function drawRelated() {
+      chipsBox.innerHTML = '';
+      form.related.forEach((ref, i) => {
+        const target = resolveRelated(ref, allEntries);
+        const chip = document.createElement('button');
+        chip.className = 'tag-chip';
+        chip.textContent = `${target ? target.name : relatedRefLabel(ref)} ×`;
+        chip.title = 'Remove';
+        chip.addEventListener('click', () => {
+          form.related.splice(i, 1);
+          update();
+        });
+        chipsBox.appendChild(chip);
+      });
+    }
+
+    function drawProblems() {
+      const problems = editorProblems(form, allEntries);
+      problemsBox.innerHTML = problems.map(p => `<div>${escapeHtml(p)}</div>`).join('');
+      field('editorDownloadBtn').disabled = problems.length > 0;
+      field('editorSaveBtn').disabled = problems.length > 0;
+      field('editorHomebrewBtn').disabled = problems.length > 0;
+      field('editorDiscardBtn').disabled = !entryDrafts[draftKeyNow()];
+      return problems;
+    }
+
+    function update() {
+      drawRelated();
+      drawProblems();
+      drawPreview();
+    }
+
+    const bindText = (id, key) => field(id).addEventListener('input', (ev) => {
+      form[key] = ev.target.value;
+      update();
+    });
+    bindText('editorImage', 'image');
+    bindText('editorDescription', 'description');
+    bindText('editorTags', 'tags');
+
+    // the id follows the name until it's edited by hand
+    field('editorName').addEventListener('input', (ev) => {
+      form.name = ev.target.value;
+      if (!form.idEdited) {
+        form.id = slugify(form.name);
+        idInput.value = form.id;
+      }
+      update();
+    });
+    idInput.addEventListener('input', () => {
+      form.id = idInput.value.trim();
+      form.idEdited = form.id !== '';
+      update();
+    });
+    field('editorCategory').addEventListener('change', (ev) => {
+      form.category = ev.target.value;
+      update();
+    });
+    field('editorGmMode').addEventListener('change', (ev) => {
+      form.gmMode = ev.target.checked;
+      update();
     });
 
-    clearBtn.addEventListener('click', () => {
-      if (!notes.length) return;
-      const confirmClear = confirm('Clear all notes for this entry on this device?');
-      if (!confirmClear) return;
-      notes.length = 0;
-      saveNotes(entry.id, notes);
-      renderLog();
+    relatedIn.addEventListener('change', () => {
+      const ref = parseRelatedRef(relatedIn.value);
+      relatedIn.value = '';
+      if (!ref) return;
+      const dup = form.related.some(r => r.id === ref.id && r.category === ref.category);
+      if (!dup) form.related.push(ref);
+      update();
     });
 
-    renderLog();
+    field('editorDownloadBtn').addEventListener('click', async () => {
+      const files = await fetchJson(`entries/${form.category}/manifest.json`);
+      const file = entryFileName(files, form.id);
+      downloadJson(file, editorEntryJson(form));
+      setStatus(`Downloaded ${file}; save it as entries/${form.category}/${file}.`);
+    });
+
+    field('editorManifestBtn').addEventListener('click', async () => {
+      const files = await fetchJson(`entries/${form.category}/manifest.json`);
+      if (!Array.isArray(files)) {
+        setStatus(`Could not load entries/${form.category}/manifest.json.`);
+        return;
+      }
+      const file = entryFileName(files, form.id);
+      const updated = files.includes(file) ? files : files.concat(file);
+      downloadJson('manifest.json', updated);
+      setStatus(files.includes(file)
+        ? `${file} is already listed; manifest downloaded unchanged.`
+        : `Manifest downloaded with ${file} added.`);
+    });
+
+    field('editorSaveBtn').addEventListener('click', () => {
+      if (drawProblems().length) return;
+      const sameCategory = form.original && form.original.category === form.category;
+      const previous = sameCategory ? entryDrafts[draftKey(form.category, form.original.id)] : null;
+      // a renamed entry hides the shipped one it came from
+      const shippedId = previous && previous.replaces ? previous.replaces : sameCategory && form.original.id;
+      const isShipped = (shippedEntries[form.category] || []).some(e => e.id === shippedId);
+      const replaces = isShipped && shippedId !== form.id ? shippedId : null;
+      if (previous) delete entryDrafts[draftKey(form.category, form.original.id)];
+      entryDrafts[draftKeyNow()] = { entry: editorEntryJson(form), replaces, savedAt: new Date().toISOString() };
+      saveDrafts();
+      refreshCategory(form.category);
+      form.original = { category: form.category, id: form.id };
+      setStatus(`Draft saved; ${form.category}/${form.id} now shows the edited entry on this device.`);
+      drawProblems();
+    });
+
+    // campaign-only: a change to a shipped entry stores just the changed fields
+    field('editorHomebrewBtn').addEventListener('click', async () => {
+      if (drawProblems().length) return;
+      const json = editorEntryJson(form);
+      const shipped = (shippedEntries[form.category] || []).find(e => e.id === form.id);
+      try {
+        if (shipped) {
+          await saveHomebrew(form.category, form.id, 'override', changedFields(json, shipped));
+        } else {
+          await saveHomebrew(form.category, form.id, 'add', json);
+        }
+      } catch (e) {
+        setStatus(`Could not save to homebrew: ${e.message || e}`);
+        return;
+      }
+      form.original = { category: form.category, id: form.id };
+      setStatus(`Saved to the homebrew of ${activeCampaign().name}.`);
+      drawProblems();
+    });
+
+    field('editorDiscardBtn').addEventListener('click', () => {
+      const draft = entryDrafts[draftKeyNow()];
+      if (!draft || !confirm(`Discard the local draft of ${draftKeyNow()}?`)) return;
+      delete entryDrafts[draftKeyNow()];
+      saveDrafts();
+      refreshCategory(form.category);
+      const shipped = (shippedEntries[form.category] || [])
+        .find(e => e.id === (draft.replaces || form.id));
+      editorForm = editorFormFor(shipped || null);
+      renderEntryEditor();
+    });
+
+    field('editorNewBtn').addEventListener('click', () => {
+      editorForm = editorFormFor(null);
+      renderEntryEditor();
+    });
+
+    update();
+    updateBreadcrumbs();
   }
 
-  /* ----------------- RELATED ENTRIES ----------------- */
+  /* ----------------- HOMEBREW PANEL ----------------- */
 
-  async function buildRelatedSection(entry) {
-    // If no related field, nothing to do
-    if (!Array.isArray(entry.related) || !entry.related.length) return;
+  const HOMEBREW_MODES = {
+    add:      'Added',
+    override: 'Modified',
+    hide:     'Hidden'
+  };
 
-    const currentId = entry.id;
+  async function renderHomebrewPanel() {
+    enterToolView('homebrew');
 
-    // Load all entries once so we can resolve references
-    const allEntries = await loadAllEntries();
+    if (!isGM) {
+      entryContent.innerHTML = `
+        <h1>GM Tools – Homebrew</h1>
+        <p>GM Tools are restricted. Unlock GM Mode to manage homebrew entries.</p>
+      `;
+      updateBreadcrumbs();
+      return;
+    }
 
-    const container = document.createElement('div');
-    container.className = 'related-section';
+    await loadAllEntries();
+    if (activeTool !== 'homebrew') return;
 
-    const label = document.createElement('div');
-    label.className = 'related-label';
-    label.textContent = 'Related Entries';
-    container.appendChild(label);
+    const records = homebrewRecords.slice()
+      .sort((a, b) => a.category.localeCompare(b.category) || a.id.localeCompare(b.id));
 
-    const list = document.createElement('div');
-    list.className = 'related-list';
+    entryContent.innerHTML = `
+      <h1>GM Homebrew</h1>
+      <p style="font-size:13px; margin-bottom:10px; opacity:0.85;">
+        Entries added, modified or hidden for <strong>${escapeHtml(activeCampaign().name)}</strong> only, stored in this browser on top of the shipped codex.
+        Use <strong>Save to Homebrew</strong> in the Entry Editor to add or change an entry, and <strong>Hide from Campaign</strong> on an entry to hide it.
+      </p>
+      <div class="data-panel">
+        <h2>Overlay (${records.length})</h2>
+        <div id="homebrewList"></div>
+      </div>
+    `;
 
-    for (const ref of entry.related) {
-      const refId  = ref.id;
-      const refCat = ref.category || null;
+    const listEl = document.getElementById('homebrewList');
+    if (!records.length) listEl.textContent = 'No homebrew for this campaign yet.';
 
-      if (!refId) continue;
+    for (const record of records) {
+      const entry = (cache[record.category] || []).find(e => e.id === record.id);
+      const shipped = (shippedEntries[record.category] || []).find(e => e.id === record.id);
+      const name = (entry || shipped || record.fields).name || record.id;
 
-      // Find the matching entry
-      let target = null;
-      if (refCat) {
-        target = allEntries.find(e => e.id === refId && e.category === refCat);
-      } else {
-        target = allEntries.find(e => e.id === refId);
+      const row = document.createElement('div');
+      row.className = 'campaign-row';
+
+      const label = document.createElement('span');
+      label.className = 'campaign-name';
+      label.textContent = `[${record.category}] ${name} — ${HOMEBREW_MODES[record.mode] || record.mode}`;
+      if (record.mode === 'override') {
+        label.title = `Changed fields: ${Object.keys(record.fields).join(', ') || 'none'}`;
       }
-      if (!target) continue;
+      row.appendChild(label);
 
-      const isGMOnly = Boolean(target.gmMode);
-      const unlocked = isGMOnly
-        ? (localStorage.getItem(lsKey(target.id)) === 'true')
-        : true;
+      const addAction = (text, handler, extraClass) => {
+        const btn = document.createElement('button');
+        btn.className = 'data-btn' + (extraClass ? ` ${extraClass}` : '');
+        btn.textContent = text;
+        btn.addEventListener('click', handler);
+        row.appendChild(btn);
+      };
 
-      // Respect visibility rules
-      if (!unlocked && !isGM) continue;
+      if (entry) {
+        addAction('Open', () => openEntry(entry));
+        addAction('Edit', () => {
+          setActiveNav(gmEditorBtn);
+          renderEntryEditor(entry);
+        });
+      }
 
-      const chip = document.createElement('button');
-      chip.className = 'related-chip';
-      const catLabel = target.category
-        ? target.category.charAt(0).toUpperCase() + target.category.slice(1)
-        : 'Entry';
-      chip.textContent = `${target.name} (${catLabel})`;
+      const undo = record.mode === 'add' ? 'Delete' : 'Restore';
+      addAction(undo, async () => {
+        const what = record.mode === 'add'
+          ? `Delete the homebrew entry "${name}"?`
+          : `Restore the shipped version of "${name}"?`;
+        if (!confirm(what)) return;
+        try {
+          await removeHomebrew(record.key);
+        } catch (e) {
+          alert(`Could not update homebrew: ${e.message || e}`);
+          return;
+        }
+        renderHomebrewPanel();
+      }, record.mode === 'add' ? 'danger' : '');
 
-      chip.addEventListener('click', () => {
-        activeCategory = target.category;
-        activeEntry    = target;
-        activeTool     = null;
-        searchMode     = false;
+      listEl.appendChild(row);
+    }
 
-        // Highlight appropriate category button
-        categoryBtns.forEach(b => {
-          if (b.dataset && b.dataset.category === target.category) {
-            b.classList.add('active');
-          } else if (!b.classList.contains('gm-tool-btn') && b.id !== 'homeBtn') {
-            b.classList.remove('active');
-          }
-        });
+    if (records.some(r => r.mode !== 'add' && !(shippedEntries[r.category] || []).some(e => e.id === r.id))) {
+      const note = document.createElement('div');
+      note.className = 'data-preview-detail';
+      note.textContent = 'Some records point at entries no longer in the shipped codex.';
+      listEl.appendChild(note);
+    }
 
-        renderEntryDetail(target);
-      });
+    updateBreadcrumbs();
+  }
 
-      list.appendChild(chip);
+  /* ----------------- RELATIONSHIP GRAPH ----------------- */
+
+  const CATEGORY_COLORS = {
+    planets:    '#4fc3f7',
+    characters: '#ffd54f',
+    vehicles:   '#b0bec5',
+    items:      '#a5d6a7',
+    factions:   '#ef9a9a',
+    missions:   '#ce93d8',
+    threats:    '#ff8a65'
+  };
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  let graphShowIsolated = false;
+
+  // visible entries + undirected related links between them
+  function buildGraph(allEntries) {
+    const nodes = allEntries.filter(isVisible).map(entry => ({ entry, x: 0, y: 0, vx: 0, vy: 0 }));
+    const index = new Map(nodes.map((n, i) => [n.entry, i]));
+
+    const seen  = new Set();
+    const edges = [];
+    for (const node of nodes) {
+      for (const target of relatedTargets(node.entry, allEntries)) {
+        if (!index.has(target)) continue; // locked for players
+        const a = index.get(node.entry);
+        const b = index.get(target);
+        const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+        if (a === b || seen.has(key)) continue;
+        seen.add(key);
+        edges.push([a, b]);
+      }
     }
 
-    if (!list.childElementCount) return; // nothing visible
+    if (graphShowIsolated) return { nodes, edges };
 
-    container.appendChild(list);
+    // drop entries with no links at all, then renumber the edges
+    const linked = new Set(edges.flat());
+    const keep   = nodes.filter((n, i) => linked.has(i));
+    const renum  = new Map(keep.map((n, i) => [nodes.indexOf(n), i]));
+    return { nodes: keep, edges: edges.map(([a, b]) => [renum.get(a), renum.get(b)]) };
+  }
 
-    // Avoid race condition: only append if we're still viewing this entry
-    if (!activeEntry || activeEntry.id !== currentId) return;
+  // Small force-directed layout (Fruchterman-Reingold): every pair repels,
+  // edges pull together, a little gravity keeps islands close. Starts from a
+  // circle so the same data always gives the same picture; the result is
+  // scaled to fit a size × size frame.
+  function layoutGraph(nodes, edges, size) {
+    const n = nodes.length;
+    nodes.forEach((node, i) => {
+      const angle = (i / Math.max(1, n)) * Math.PI * 2;
+      node.x = Math.cos(angle) * size / 2;
+      node.y = Math.sin(angle) * size / 2;
+    });
+
+    const k = size / Math.sqrt(Math.max(1, n));
+    const steps = 300;
+    for (let step = 0; step < steps; step++) {
+      const temp = (size / 10) * (1 - step / steps) + 1;
+      nodes.forEach(node => { node.vx = -node.x; node.vy = -node.y; });
+
+      for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+          const a = nodes[i], b = nodes[j];
+          const dx = a.x - b.x, dy = a.y - b.y;
+          const dist = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+          const push = (k * k) / dist / dist;
+          a.vx += dx * push; a.vy += dy * push;
+          b.vx -= dx * push; b.vy -= dy * push;
+        }
+      }
+
+      for (const [i, j] of edges) {
+        const a = nodes[i], b = nodes[j];
+        const dx = a.x - b.x, dy = a.y - b.y;
+        const pull = Math.sqrt(dx * dx + dy * dy) / k;
+        a.vx -= dx * pull; a.vy -= dy * pull;
+        b.vx += dx * pull; b.vy += dy * pull;
+      }
+
+      for (const node of nodes) {
+        const len = Math.max(Math.sqrt(node.vx * node.vx + node.vy * node.vy), 0.01);
+        const move = Math.min(len, temp);
+        node.x += node.vx / len * move;
+        node.y += node.vy / len * move;
+      }
+    }
 
-    entryContent.appendChild(container);
+    // fit into the frame, leaving room for labels
+    const xs = nodes.map(node => node.x), ys = nodes.map(node => node.y);
+    const minX = Math.min(...xs), minY = Math.min(...ys);
+    const span = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY, 1);
+    const margin = 40;
+    nodes.forEach(node => {
+      node.x = margin + (node.x - minX) / span * (size - margin * 2);
+      node.y = margin + (node.y - minY) / span * (size - margin * 2);
+    });
   }
 
-  /* ----------------- GLOBAL SEARCH ----------------- */
+  function svgEl(tag, attrs) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs || {}).forEach(([k, v]) => el.setAttribute(k, v));
+    return el;
+  }
 
-  async function renderGlobalSearchResults() {
-    entryContent.innerHTML = '';
-    activeTool     = null;
-    activeCategory = null;
-    activeEntry    = null;
-    searchMode     = true;
+  // wheel zoom + drag pan by rewriting the viewBox; returns a check that
+  // tells click handlers whether the last pointer gesture was a drag
+  function enablePanZoom(svg, width, height) {
+    let box = { x: 0, y: 0, w: width, h: height };
+    let panStart = null;
+    let panMoved = false;
+
+    const applyBox = () => svg.setAttribute('viewBox', `${box.x} ${box.y} ${box.w} ${box.h}`);
+
+    svg.addEventListener('wheel', (ev) => {
+      ev.preventDefault();
+      const rect = svg.getBoundingClientRect();
+      const px = box.x + (ev.clientX - rect.left) / rect.width * box.w;
+      const py = box.y + (ev.clientY - rect.top) / rect.height * box.h;
+      const factor = ev.deltaY > 0 ? 1.15 : 1 / 1.15;
+      const w = Math.min(width * 3, Math.max(width / 8, box.w * factor));
+      const scale = w / box.w;
+      box = { x: px - (px - box.x) * scale, y: py - (py - box.y) * scale, w, h: box.h * scale };
+      applyBox();
+    }, { passive: false });
+
+    svg.addEventListener('pointerdown', (ev) => {
+      panStart = { x: ev.clientX, y: ev.clientY, box: { ...box } };
+      panMoved = false;
+    });
 
-    const q = (searchInput.value || '').trim().toLowerCase();
+    svg.addEventListener('pointermove', (ev) => {
+      if (!panStart) return;
+      const rect = svg.getBoundingClientRect();
+      const dx = (ev.clientX - panStart.x) / rect.width * box.w;
+      const dy = (ev.clientY - panStart.y) / rect.height * box.h;
+      if (Math.abs(ev.clientX - panStart.x) + Math.abs(ev.clientY - panStart.y) > 3) panMoved = true;
+      box = { ...box, x: panStart.box.x - dx, y: panStart.box.y - dy };
+      applyBox();
+    });
 
-    if (!q) {
-      entryContent.innerHTML = `<h1>Rebel Alliance Field Codex</h1>
-        <p>Type in the search box or choose a category on the left to begin.</p>`;
+    const endPan = () => { panStart = null; };
+    svg.addEventListener('pointerup', endPan);
+    svg.addEventListener('pointerleave', endPan);
+
+    return () => panMoved;
+  }
+
+  async function renderGraphView() {
+    enterToolView('graph');
+
+    const allEntries = await loadAllEntries();
+    if (activeTool !== 'graph') return; // navigated away while loading
+
+    const { nodes, edges } = buildGraph(allEntries);
+    const size = 600;
+    layoutGraph(nodes, edges, size);
+
+    entryContent.innerHTML = `
+      <h1>Relationship Graph</h1>
+      <p style="font-size:13px; margin-bottom:8px; opacity:0.85;">
+        Entries linked through <em>related</em> references. Scroll to zoom, drag to pan, click a node to open it.
+      </p>
+      <div class="graph-toolbar">
+        <div class="graph-legend"></div>
+        <label><input type="checkbox" id="graphIsolated"> Show unlinked entries</label>
+      </div>
+    `;
+
+    const legend = entryContent.querySelector('.graph-legend');
+    categories.forEach(cat => {
+      const item = document.createElement('span');
+      item.className = 'graph-legend-item';
+      item.innerHTML = `<i style="background:${CATEGORY_COLORS[cat] || '#66f0ff'}"></i>${escapeHtml(cat)}`;
+      legend.appendChild(item);
+    });
+
+    const isolated = document.getElementById('graphIsolated');
+    isolated.checked = graphShowIsolated;
+    isolated.addEventListener('change', () => {
+      graphShowIsolated = isolated.checked;
+      renderGraphView();
+    });
+
+    if (!nodes.length) {
+      const msg = document.createElement('p');
+      msg.textContent = 'No linked entries to show yet.';
+      entryContent.appendChild(msg);
       updateBreadcrumbs();
       return;
     }
 
-    const allEntries = await loadAllEntries();
-    const list = document.createElement('div');
-    let found = 0;
+    const svg = svgEl('svg', { class: 'graph-svg', viewBox: `0 0 ${size} ${size}` });
+    const view = svgEl('g');
+    svg.appendChild(view);
+    const wasPanned = enablePanZoom(svg, size, size);
 
-    for (const entry of allEntries) {
-      const isGMOnly = Boolean(entry.gmMode);
-      const unlocked = isGMOnly
-        ? (localStorage.getItem(lsKey(entry.id)) === 'true')
-        : true;
-      if (!unlocked && !isGM) continue;
+    const edgeEls = edges.map(([a, b]) => {
+      const line = svgEl('line', {
+        class: 'graph-edge',
+        x1: nodes[a].x, y1: nodes[a].y,
+        x2: nodes[b].x, y2: nodes[b].y
+      });
+      view.appendChild(line);
+      return line;
+    });
 
-      const textMatch =
-        entry.name.toLowerCase().includes(q) ||
-        (entry.description || '').toLowerCase().includes(q) ||
-        (entry.category || '').toLowerCase().includes(q);
+    nodes.forEach((node, i) => {
+      const g = svgEl('g', { class: 'graph-node', transform: `translate(${node.x},${node.y})` });
+      if (!isUnlocked(node.entry)) g.classList.add('locked');
 
-      if (!textMatch) continue;
+      const circle = svgEl('circle', { r: 7, fill: CATEGORY_COLORS[node.entry.category] || '#66f0ff' });
+      const title  = svgEl('title');
+      title.textContent = `${node.entry.name} (${node.entry.category})`;
+      circle.appendChild(title);
+      g.appendChild(circle);
 
-      found++;
+      const label = svgEl('text', { x: 10, y: 4 });
+      label.textContent = node.entry.name;
+      g.appendChild(label);
 
-      const row = document.createElement('div');
-      row.className = 'entry-row';
+      // highlight the node's own links on hover
+      g.addEventListener('mouseenter', () => {
+        edges.forEach(([a, b], k) => edgeEls[k].classList.toggle('active', a === i || b === i));
+      });
+      g.addEventListener('mouseleave', () => {
+        edgeEls.forEach(line => line.classList.remove('active'));
+      });
+      g.addEventListener('click', () => {
+        if (wasPanned()) return;
+        openEntry(node.entry);
+      });
 
-      const titleBtn = document.createElement('button');
-      titleBtn.className = 'entry-title unlocked';
-      titleBtn.textContent = `[${entry.category}] ${entry.name}`;
+      view.appendChild(g);
+    });
 
-      titleBtn.addEventListener('click', () => {
-        activeCategory = entry.category;
-        activeEntry    = entry;
-        searchMode     = false;
-        renderEntryDetail(entry);
+    entryContent.appendChild(svg);
+    updateBreadcrumbs();
+  }
+
+  /* ----------------- GALAXY MAP ----------------- */
+
+  // galactic standard grid: columns A-W, rows 1-21
+  const GRID_COLUMNS = 'ABCDEFGHIJKLMNOPQRSTUVW';
+  const GRID_ROWS    = 21;
+  const GRID_CELL    = 30;
+
+  // rough region rings around the Deep Core (grid L-9 centre), inner to outer
+  const MAP_REGIONS = [
+    { name: 'Deep Core',        radius: 25 },
+    { name: 'Core Worlds',      radius: 60 },
+    { name: 'Colonies',         radius: 95 },
+    { name: 'Inner Rim',        radius: 130 },
+    { name: 'Expansion Region', radius: 170 },
+    { name: 'Mid Rim',          radius: 230 },
+    { name: 'Outer Rim',        radius: 340 }
+  ];
+
+  // characters, factions and threats tied to a world show up on the map
+  const MAP_LINKED_CATEGORIES = ['characters', 'factions', 'threats'];
+
+  let mapSelected = null; // planet id highlighted on the map
+
+  // "R-16" → { x, y } at the centre of that grid square
+  function gridPosition(grid) {
+    const match = /^([A-W])-(\d{1,2})$/.exec(String(grid || '').trim().toUpperCase());
+    if (!match) return null;
+    const row = Number(match[2]);
+    if (row < 1 || row > GRID_ROWS) return null;
+    return {
+      x: (GRID_COLUMNS.indexOf(match[1]) + 0.5) * GRID_CELL,
+      y: (row - 0.5) * GRID_CELL
+    };
+  }
+
+  // planets sharing a grid square are spread around its centre
+  function plotPlanets(planets) {
+    const byCell = new Map();
+    const plotted = [];
+    for (const entry of planets) {
+      const pos = gridPosition(entry.grid);
+      if (!pos) continue;
+      const key = `${pos.x},${pos.y}`;
+      if (!byCell.has(key)) byCell.set(key, []);
+      const point = { entry, x: pos.x, y: pos.y };
+      byCell.get(key).push(point);
+      plotted.push(point);
+    }
+    for (const points of byCell.values()) {
+      if (points.length < 2) continue;
+      points.forEach((point, i) => {
+        const angle = (i / points.length) * Math.PI * 2;
+        point.x += Math.cos(angle) * GRID_CELL * 0.25;
+        point.y += Math.sin(angle) * GRID_CELL * 0.25;
       });
+    }
+    return plotted;
+  }
 
-      row.appendChild(titleBtn);
-      list.appendChild(row);
+  // visible characters / factions / threats linked to a planet either way
+  function planetConnections(planet, allEntries) {
+    const linked = new Set([
+      ...relatedTargets(planet, allEntries),
+      ...backlinksFor(planet, allEntries)
+    ]);
+    return [...linked].filter(e => MAP_LINKED_CATEGORIES.includes(e.category) && isVisible(e));
+  }
+
+  async function renderGalaxyMap(selectedId = mapSelected) {
+    enterToolView('map');
+    mapSelected = selectedId || null;
+
+    const allEntries = await loadAllEntries();
+    if (activeTool !== 'map') return; // navigated away while loading
+
+    // undiscovered (locked) worlds stay off the players' map
+    const planets = allEntries.filter(e => e.category === 'planets' && isVisible(e));
+    const points  = plotPlanets(planets);
+    const byId    = new Map(points.map(p => [p.entry.id, p]));
+    const uncharted = planets.filter(e => !byId.has(e.id));
+
+    const width  = GRID_COLUMNS.length * GRID_CELL;
+    const height = GRID_ROWS * GRID_CELL;
+    const core   = gridPosition('L-9');
+
+    entryContent.innerHTML = `
+      <h1>Galaxy Map</h1>
+      <p style="font-size:13px; margin-bottom:8px; opacity:0.85;">
+        Charted worlds by galactic grid square. Scroll to zoom, drag to pan, click a world for details.
+      </p>
+    `;
+
+    const svg = svgEl('svg', { class: 'map-svg', viewBox: `0 0 ${width} ${height}` });
+    const view = svgEl('g');
+    svg.appendChild(view);
+    const wasPanned = enablePanZoom(svg, width, height);
+
+    MAP_REGIONS.forEach(region => {
+      view.appendChild(svgEl('circle', { class: 'map-region', cx: core.x, cy: core.y, r: region.radius }));
+      const label = svgEl('text', { class: 'map-region-label', x: core.x, y: core.y - region.radius + 9 });
+      label.textContent = region.name;
+      view.appendChild(label);
+    });
+
+    for (let c = 0; c <= GRID_COLUMNS.length; c++) {
+      view.appendChild(svgEl('line', { class: 'map-grid', x1: c * GRID_CELL, y1: 0, x2: c * GRID_CELL, y2: height }));
+      if (c < GRID_COLUMNS.length) {
+        const label = svgEl('text', { class: 'map-grid-label', x: (c + 0.5) * GRID_CELL, y: 8 });
+        label.textContent = GRID_COLUMNS[c];
+        view.appendChild(label);
+      }
+    }
+    for (let r = 0; r <= GRID_ROWS; r++) {
+      view.appendChild(svgEl('line', { class: 'map-grid', x1: 0, y1: r * GRID_CELL, x2: width, y2: r * GRID_CELL }));
+      if (r < GRID_ROWS) {
+        const label = svgEl('text', { class: 'map-grid-label', x: 5, y: (r + 0.5) * GRID_CELL + 3 });
+        label.textContent = r + 1;
+        view.appendChild(label);
+      }
     }
 
-    if (!found) {
-      const msg = document.createElement('p');
-      msg.textContent = isGM
-        ? 'No entries match this search.'
-        : 'No visible entries match this search.';
-      entryContent.appendChild(msg);
-    } else {
-      entryContent.appendChild(list);
+    // hyperlanes between two charted, visible worlds; a route listed on
+    // both of its planets is drawn once
+    const drawnLanes = new Set();
+    for (const point of points) {
+      for (const lane of Array.isArray(point.entry.hyperlanes) ? point.entry.hyperlanes : []) {
+        const other = byId.get(lane.to);
+        if (!other) continue;
+        const pair = [point.entry.id, other.entry.id].sort().join('|');
+        if (drawnLanes.has(pair)) continue;
+        drawnLanes.add(pair);
+        const line = svgEl('line', {
+          class: 'map-lane',
+          x1: point.x, y1: point.y,
+          x2: other.x, y2: other.y
+        });
+        const title = svgEl('title');
+        title.textContent = lane.route || `${point.entry.name} – ${other.entry.name}`;
+        line.appendChild(title);
+        view.appendChild(line);
+      }
+    }
+
+    for (const point of points) {
+      const g = svgEl('g', { class: 'map-planet', transform: `translate(${point.x},${point.y})` });
+      if (point.entry.id === mapSelected) g.classList.add('selected');
+      if (!isUnlocked(point.entry))      g.classList.add('locked');
+
+      g.appendChild(svgEl('circle', { r: 4 }));
+      const label = svgEl('text', { x: 6, y: 3 });
+      label.textContent = point.entry.name;
+      g.appendChild(label);
+
+      g.addEventListener('click', () => {
+        if (wasPanned()) return;
+        renderGalaxyMap(point.entry.id);
+      });
+      view.appendChild(g);
+    }
+
+    entryContent.appendChild(svg);
+
+    const selected = planets.find(e => e.id === mapSelected);
+    if (selected) entryContent.appendChild(buildMapDetails(selected, allEntries));
+
+    if (uncharted.length) {
+      const note = document.createElement('p');
+      note.className = 'map-uncharted';
+      note.textContent = `Uncharted: ${uncharted.map(e => e.name).join(', ')}`;
+      entryContent.appendChild(note);
     }
 
     updateBreadcrumbs();
   }
 
-  async function handleSearchInput() {
-    // Ignore search while in GM tool panel
-    if (activeTool === 'destiny') return;
+  function buildMapDetails(planet, allEntries) {
+    const panel = document.createElement('div');
+    panel.className = 'entry-section map-details';
 
-    if (activeCategory) {
-      await renderListForActiveCategory();
-    } else {
-      await renderGlobalSearchResults();
+    const where = [planet.region, planet.sector, planet.grid && `Grid ${planet.grid}`].filter(Boolean);
+    panel.innerHTML = `
+      <div class="entry-section-header">
+        <h2>${escapeHtml(planet.name)}</h2>
+        <span class="section-badge">${escapeHtml(where.join(' · ') || 'Uncharted')}</span>
+      </div>
+    `;
+
+    const open = document.createElement('button');
+    open.className = 'unlock-btn';
+    open.textContent = 'Open Entry';
+    open.addEventListener('click', () => openEntry(planet));
+    panel.querySelector('.entry-section-header').appendChild(open);
+
+    const connections = planetConnections(planet, allEntries);
+    for (const cat of MAP_LINKED_CATEGORIES) {
+      const block = relatedBlock(cat.charAt(0).toUpperCase() + cat.slice(1),
+        connections.filter(e => e.category === cat));
+      if (block) panel.appendChild(block);
+    }
+    if (!connections.length) {
+      const none = document.createElement('p');
+      none.style.opacity = '0.7';
+      none.textContent = 'No known characters, factions or threats tied to this world.';
+      panel.appendChild(none);
     }
+
+    return panel;
   }
 
-  /* ----------------- DESTINY POOL STORAGE HELPERS ----------------- */
+  // planet entries: where it is, with a jump to the map
+  function renderPlanetLocation(entry) {
+    if (entry.category !== 'planets') return;
+    const where = [entry.region, entry.sector, entry.grid && `Grid ${entry.grid}`].filter(Boolean);
+    if (!where.length) return;
+
+    const row = document.createElement('div');
+    row.className = 'planet-location';
+
+    const text = document.createElement('span');
+    text.textContent = where.join(' · ');
+    row.appendChild(text);
+
+    if (gridPosition(entry.grid)) {
+      const btn = document.createElement('button');
+      btn.className = 'related-chip';
+      btn.textContent = 'Show on Galaxy Map';
+      btn.addEventListener('click', () => {
+        setActiveNav(mapBtn);
+        renderGalaxyMap(entry.id);
+      });
+      row.appendChild(btn);
+    }
 
-  function loadDestinyState() {
+    entryContent.appendChild(row);
+  }
+
+  /* ----------------- TABLE SYNC ----------------- */
+
+  // device-level (not per campaign): which relay to join and as whom
+  const SYNC_SETTINGS_KEY   = 'sw_sync_settings';
+  const SYNC_PING_MS        = 25000;
+  const SYNC_RETRY_MIN_MS   = 1000;
+  const SYNC_RETRY_MAX_MS   = 30000;
+
+  let syncSettings   = loadSyncSettings();
+  let syncSocket     = null;
+  let syncState      = 'off';   // off | connecting | connected | reconnecting
+  let syncRole       = null;    // role confirmed by the relay
+  let syncError      = '';
+  let syncPlayers    = 0;
+  let syncRetryMs    = SYNC_RETRY_MIN_MS;
+  let syncRetryTimer = null;
+  let syncPingTimer  = null;
+
+  function loadSyncSettings() {
+    const defaults = { url: `ws://${location.hostname || 'localhost'}:8787`, role: 'player', gmKey: '', autoConnect: false };
     try {
-      const raw = localStorage.getItem(DESTINY_STATE_KEY);
-      if (!raw) return { light: 0, dark: 0 };
-      const parsed = JSON.parse(raw);
-      return {
-        light: Number.isFinite(parsed.light) ? parsed.light : 0,
-        dark:  Number.isFinite(parsed.dark)  ? parsed.dark  : 0
-      };
+      return Object.assign(defaults, JSON.parse(localStorage.getItem(SYNC_SETTINGS_KEY)));
     } catch {
-      return { light: 0, dark: 0 };
+      return defaults;
     }
   }
 
-  function loadDestinyLog() {
+  function saveSyncSettings() {
     try {
-      const raw = localStorage.getItem(DESTINY_LOG_KEY);
-      if (!raw) return [];
-      const arr = JSON.parse(raw);
-      return Array.isArray(arr) ? arr : [];
-    } catch {
-      return [];
-    }
+      localStorage.setItem(SYNC_SETTINGS_KEY, JSON.stringify(syncSettings));
+    } catch {}
+  }
+
+  function setSyncState(state) {
+    syncState = state;
+    syncBtn.classList.toggle('sync-live', state === 'connected');
+    syncBtn.classList.toggle('sync-waiting', state === 'connecting' || state === 'reconnecting');
+    if (activeTool === 'sync') renderSyncPanel();
+  }
+
+  // GM → relay; silently dropped unless connected as GM
+  function syncSend(message) {
+    if (!syncSocket || syncState !== 'connected' || syncRole !== 'gm' || !isGM) return;
+    syncSocket.send(JSON.stringify(Object.assign({ campaign: activeCampaignId }, message)));
+  }
+
+  function sendSyncSnapshot() {
+    const unlocks = campaignStore.keys(lsKey(''))
+      .filter(key => campaignStore.getItem(key) === 'true')
+      .map(key => key.slice(lsKey('').length));
+    const missions = {};
+    campaignStore.keys(MISSION_PREFIX).forEach(key => {
+      missions[key.slice(MISSION_PREFIX.length)] = readJsonKey(key, null);
+    });
+    syncSend({
+      type: 'snapshot',
+      campaignName: activeCampaign().name,
+      unlocks,
+      missions,
+      annotations: revealedAnnotationsByEntry(),
+      destiny: { state: destinyState, log: destinyLog }
+    });
   }
 
-  function saveDestinyState() {
-    try {
-      localStorage.setItem(DESTINY_STATE_KEY, JSON.stringify(destinyState));
-    } catch {}
+  function connectSync() {
+    clearTimeout(syncRetryTimer);
+    if (syncSocket) return;
+    if (syncSettings.role === 'gm' && !isGM) {
+      setSyncState('off');
+      return;
+    }
+
+    let socket;
+    try {
+      socket = new WebSocket(syncSettings.url);
+    } catch (e) {
+      syncError = e.message;
+      setSyncState('off');
+      return;
+    }
+
+    syncSocket = socket;
+    syncError = '';
+    setSyncState(syncState === 'reconnecting' ? 'reconnecting' : 'connecting');
+
+    socket.addEventListener('open', () => {
+      const role = syncSettings.role === 'gm' ? 'gm' : 'player';
+      socket.send(JSON.stringify({ type: 'hello', role, key: role === 'gm' ? syncSettings.gmKey : undefined }));
+    });
+
+    socket.addEventListener('message', (ev) => {
+      let msg;
+      try {
+        msg = JSON.parse(ev.data);
+      } catch {
+        return;
+      }
+      handleSyncMessage(msg);
+    });
+
+    socket.addEventListener('close', (ev) => {
+      if (ev.code === 1009) syncError = 'Message too large for the relay (2 MB limit)';
+      clearInterval(syncPingTimer);
+      syncSocket = null;
+      syncRole = null;
+      if (syncSettings.autoConnect) scheduleSyncReconnect();
+      else                          setSyncState('off');
+    });
+
+    socket.addEventListener('error', () => {
+      syncError = `Could not reach ${syncSettings.url}`;
+    });
   }
 
-  function saveDestinyLog() {
-    try {
-      localStorage.setItem(DESTINY_LOG_KEY, JSON.stringify(destinyLog));
-    } catch {}
+  function scheduleSyncReconnect() {
+    setSyncState('reconnecting');
+    clearTimeout(syncRetryTimer);
+    syncRetryTimer = setTimeout(connectSync, syncRetryMs);
+    syncRetryMs = Math.min(syncRetryMs * 2, SYNC_RETRY_MAX_MS);
   }
 
-  function addDestinyLogEntry(text) {
-    const stamp = new Date();
-    const time = stamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    destinyLog.unshift(`[${time}] ${text}`);
-    if (destinyLog.length > 50) destinyLog.length = 50;
-    saveDestinyLog();
+  function disconnectSync() {
+    syncSettings.autoConnect = false;
+    saveSyncSettings();
+    clearTimeout(syncRetryTimer);
+    if (syncSocket) syncSocket.close();
+    else            setSyncState('off');
   }
 
-  /* ----------------- DESTINY POOL PANEL RENDER ----------------- */
+  // only redraw when the viewer isn't halfway through typing something
+  function refreshAfterSync() {
+    const focused = document.activeElement;
+    if (isTypingTarget(focused) && entryContent.contains(focused)) return;
+    refreshCurrentView();
+  }
 
-  function renderDestinyPoolPanel() {
-    entryContent.innerHTML = '';
+  async function showPushedEntry(category, id) {
+    if (!categories.includes(category)) return;
+    const entries = await loadCategoryEntries(category);
+    const entry = entries.find(e => e.id === id);
+    if (entry && isVisible(entry)) openEntry(entry);
+  }
 
-    activeTool     = 'destiny';
-    activeCategory = null;
-    activeEntry    = null;
-    searchMode     = false;
+  // updates only apply to the campaign the GM sent them from
+  const isForActiveCampaign = msg => !msg.campaign || msg.campaign === activeCampaignId;
+
+  // a snapshot moves the player to the GM's campaign, adding it to this
+  // datapad the first time; false when the id can't be a campaign id
+  function followSyncCampaign(msg) {
+    if (isForActiveCampaign(msg)) return true;
+    if (typeof msg.campaign !== 'string' || slugify(msg.campaign) !== msg.campaign) return false;
+    if (!campaigns.some(c => c.id === msg.campaign)) {
+      campaigns.push({
+        id: msg.campaign,
+        name: String(msg.campaignName || msg.campaign),
+        createdAt: new Date().toISOString()
+      });
+      saveCampaigns();
+    }
+    switchCampaign(msg.campaign);
+    return true;
+  }
 
-    if (!isGM) {
-      entryContent.innerHTML = `
-        <h1>GM Tools – Destiny Pool</h1>
-        <p>GM Tools are restricted. Toggle GM Mode (press <strong>G</strong>) to manage the Destiny Pool.</p>
-      `;
-      updateBreadcrumbs();
-      return;
+  function handleSyncMessage(msg) {
+    switch (msg.type) {
+      case 'welcome':
+        syncRole = msg.role;
+        syncRetryMs = SYNC_RETRY_MIN_MS;
+        clearInterval(syncPingTimer);
+        syncPingTimer = setInterval(() => {
+          if (syncSocket) syncSocket.send(JSON.stringify({ type: 'ping' }));
+        }, SYNC_PING_MS);
+        setSyncState('connected');
+        if (syncRole === 'gm') sendSyncSnapshot();
+        break;
+
+      case 'presence':
+        // a player joined: bring them up to date
+        if (syncRole === 'gm' && msg.players > syncPlayers) sendSyncSnapshot();
+        syncPlayers = msg.players;
+        if (activeTool === 'sync') renderSyncPanel();
+        break;
+
+      case 'error':
+        syncError = msg.message || 'relay error';
+        // a rejected GM key won't fix itself by retrying
+        if (msg.code === 'auth') {
+          syncSettings.autoConnect = false;
+          saveSyncSettings();
+        }
+        break;
+
+      case 'unlock':
+        if (syncRole !== 'player' || typeof msg.id !== 'string' || !isForActiveCampaign(msg)) break;
+        if (msg.on) campaignStore.setItem(lsKey(msg.id), 'true');
+        else        campaignStore.removeItem(lsKey(msg.id));
+        refreshAfterSync();
+        break;
+
+      case 'destiny':
+        if (syncRole !== 'player' || !msg.state || !isForActiveCampaign(msg)) break;
+        destinyState = { light: Number(msg.state.light) || 0, dark: Number(msg.state.dark) || 0 };
+        destinyLog   = Array.isArray(msg.log) ? msg.log.slice(0, 50) : destinyLog;
+        saveDestinyState();
+        saveDestinyLog();
+        if (activeTool === 'destiny') renderDestinyPoolPanel();
+        break;
+
+      case 'snapshot':
+        if (syncRole !== 'player' || !followSyncCampaign(msg)) break;
+        campaignStore.keys(lsKey('')).forEach(key => campaignStore.removeItem(key));
+        (msg.unlocks || []).forEach(id => campaignStore.setItem(lsKey(id), 'true'));
+        Object.entries(msg.missions || {}).forEach(([id, progress]) => {
+          campaignStore.setItem(`${MISSION_PREFIX}${id}`, JSON.stringify(progress));
+        });
+        campaignStore.keys(ANNOTATIONS_PREFIX).forEach(key => campaignStore.removeItem(key));
+        Object.entries(msg.annotations || {}).forEach(([id, list]) => {
+          if (Array.isArray(list)) saveAnnotations(id, list);
+        });
+        if (msg.destiny && msg.destiny.state) {
+          handleSyncMessage({ type: 'destiny', state: msg.destiny.state, log: msg.destiny.log });
+        }
+        refreshAfterSync();
+        break;
+
+      case 'mission':
+        if (syncRole !== 'player' || typeof msg.id !== 'string' || !msg.progress || !isForActiveCampaign(msg)) break;
+        campaignStore.setItem(`${MISSION_PREFIX}${msg.id}`, JSON.stringify(msg.progress));
+        refreshAfterSync();
+        break;
+
+      case 'annotations':
+        if (syncRole !== 'player' || typeof msg.entryId !== 'string' || !Array.isArray(msg.list) ||
+            !isForActiveCampaign(msg)) break;
+        saveAnnotations(msg.entryId, msg.list);
+        refreshAfterSync();
+        break;
+
+      case 'push-entry':
+        if (syncRole === 'player') showPushedEntry(msg.category, msg.id);
+        break;
+
+      default:
+        break;
     }
+  }
+
+  function renderSyncPanel() {
+    enterToolView('sync');
+
+    const stateLabel = {
+      off:          'Not connected',
+      connecting:   'Connecting…',
+      reconnecting: `Reconnecting (next try in ${Math.round(syncRetryMs / 1000)}s)…`,
+      connected:    `Connected as ${syncRole === 'gm' ? 'GM' : 'player'}`
+    }[syncState];
 
     entryContent.innerHTML = `
-      <h1>GM Destiny Pool</h1>
+      <h1>Table Sync</h1>
       <p style="font-size:13px; margin-bottom:10px; opacity:0.85;">
-        Track and adjust the session's Light and Dark Side Destiny tokens. Changes are saved on this device.
+        Join the GM's relay (<code>node tools/relay.js</code> on the GM's laptop) to receive reveals,
+        Destiny Pool changes and pushed entries live.
       </p>
-
-      <div class="destiny-grid">
-        <div class="destiny-column">
-          <h2>Light Side</h2>
-          <div id="destinyLightRow" class="destiny-token-row"></div>
-          <div class="destiny-controls">
-            <button id="addLight">+ Token</button>
-            <button id="removeLight">- Token</button>
-          </div>
+      <div class="data-panel">
+        <h2>Status</h2>
+        <div class="sync-status sync-${syncState}">${escapeHtml(stateLabel)}</div>
+        ${syncRole === 'gm' ? `<div class="data-summary">${syncPlayers} player datapad(s) connected</div>` : ''}
+        ${syncError ? `<div class="gm-prompt-error">${escapeHtml(syncError)}</div>` : ''}
+      </div>
+      <form id="syncForm" class="data-panel">
+        <h2>Relay</h2>
+        <input type="text" id="syncUrl" class="campaign-input" placeholder="ws://192.168.1.20:8787">
+        <div class="data-mode">
+          <label><input type="radio" name="syncRole" value="player"> Player datapad</label>
+          <label><input type="radio" name="syncRole" value="gm"> GM (requires GM mode)</label>
         </div>
-        <div class="destiny-column">
-          <h2>Dark Side</h2>
-          <div id="destinyDarkRow" class="destiny-token-row"></div>
-          <div class="destiny-controls">
-            <button id="addDark">+ Token</button>
-            <button id="removeDark">- Token</button>
-          </div>
+        <input type="password" id="syncGmKey" class="campaign-input" placeholder="Relay GM key" autocomplete="off">
+        <div class="campaign-form">
+          <button type="submit" class="data-btn" id="syncConnectBtn">Connect</button>
+          <button type="button" class="data-btn danger" id="syncDisconnectBtn">Disconnect</button>
         </div>
-      </div>
+      </form>
+    `;
 
-      <div class="destiny-actions">
-        <button id="flipLightToDark">Flip Light → Dark</button>
-        <button id="flipDarkToLight">Flip Dark → Light</button>
-        <button id="resetDestiny">Reset Pool</button>
-      </div>
+    const form      = document.getElementById('syncForm');
+    const urlInput  = document.getElementById('syncUrl');
+    const keyInput  = document.getElementById('syncGmKey');
+    const roleInputs = form.querySelectorAll('input[name="syncRole"]');
 
-      <div class="destiny-log">
-        <h3>Destiny Log</h3>
-        <div id="destinyLogEntries"></div>
-      </div>
-    `;
+    urlInput.value = syncSettings.url;
+    keyInput.value = syncSettings.gmKey;
+    roleInputs.forEach(input => {
+      input.checked  = input.value === syncSettings.role;
+      input.disabled = input.value === 'gm' && !isGM;
+    });
+    keyInput.style.display = syncSettings.role === 'gm' && isGM ? '' : 'none';
+
+    roleInputs.forEach(input => input.addEventListener('change', () => {
+      keyInput.style.display = input.value === 'gm' && input.checked ? '' : 'none';
+    }));
+
+    document.getElementById('syncConnectBtn').disabled = syncState !== 'off';
+    document.getElementById('syncDisconnectBtn').disabled = syncState === 'off';
+
+    form.addEventListener('submit', (ev) => {
+      ev.preventDefault();
+      const checked = form.querySelector('input[name="syncRole"]:checked');
+      syncSettings = {
+        url:         urlInput.value.trim() || syncSettings.url,
+        role:        checked && checked.value === 'gm' && isGM ? 'gm' : 'player',
+        gmKey:       keyInput.value,
+        autoConnect: true
+      };
+      saveSyncSettings();
+      syncRetryMs = SYNC_RETRY_MIN_MS;
+      connectSync();
+    });
 
-    const lightRow    = document.getElementById('destinyLightRow');
-    const darkRow     = document.getElementById('destinyDarkRow');
-    const logContainer = document.getElementById('destinyLogEntries');
+    document.getElementById('syncDisconnectBtn').addEventListener('click', disconnectSync);
 
-    function drawTokens() {
-      lightRow.innerHTML = '';
-      darkRow.innerHTML  = '';
+    updateBreadcrumbs();
+  }
 
-      for (let i = 0; i < destinyState.light; i++) {
-        const t = document.createElement('div');
-        t.className = 'destiny-token light';
-        lightRow.appendChild(t);
-      }
-      for (let i = 0; i < destinyState.dark; i++) {
-        const t = document.createElement('div');
-        t.className = 'destiny-token dark';
-        darkRow.appendChild(t);
-      }
+  // rejoin the relay after a reload; GM role waits until GM mode is unlocked
+  if (syncSettings.autoConnect && syncSettings.role === 'player') connectSync();
+
+  /* ----------------- HASH ROUTER ----------------- */
+
+  // Tool routes: #/gm/<name> (or the tool's own route) → panel renderer + sidebar button
+  const gmTools = {
+    destiny:   { label: 'Destiny Pool',  render: () => renderDestinyPoolPanel(),  btn: gmDestinyBtn },
+    dice:      { label: 'Dice Roller',   render: () => renderDiceRollerPanel(),   btn: gmDiceBtn },
+    encounter: { label: 'Encounter',     render: () => renderEncounterPanel(),    btn: gmEncounterBtn },
+    sessions:  { label: 'Session Log',   render: () => renderSessionLogPanel(),   btn: gmSessionsBtn },
+    reveals:   { label: 'Reveals',       render: () => renderRevealsPanel(),      btn: gmRevealsBtn },
+    editor:    { label: 'Entry Editor',  render: () => renderEntryEditor(),       btn: gmEditorBtn },
+    homebrew:  { label: 'Homebrew',      render: () => renderHomebrewPanel(),     btn: gmHomebrewBtn },
+    data:      { label: 'Campaign Data', render: () => renderCampaignDataPanel(), btn: gmDataBtn },
+    campaigns: { label: 'Campaigns',     render: () => renderCampaignsPanel(),    btn: gmCampaignsBtn },
+    // open to players too, so these live at #/<name> rather than under #/gm/
+    sync:      { label: 'Table Sync',    render: () => renderSyncPanel(),         btn: syncBtn,  route: '#/sync' },
+    graph:     { label: 'Graph',         render: () => renderGraphView(),         btn: graphBtn, route: '#/graph' },
+    map:       { label: 'Galaxy Map',    render: (id) => renderGalaxyMap(id),     btn: mapBtn,   route: '#/map' },
+    party:     { label: 'Party',         render: (id) => renderPartyView(id),     btn: partyBtn, route: '#/party' },
+    notes:     { label: 'My Notes',      render: () => renderMyNotesView(),       btn: notesBtn, route: '#/notes' }
+  };
+
+  function routeForState() {
+    const q = (searchInput.value || '').trim();
+    const query = q ? `?q=${encodeURIComponent(q)}` : '';
+
+    if (activeTool === 'map' && mapSelected) return `#/map/${encodeURIComponent(mapSelected)}`;
+    if (activeTool === 'party' && partySelected) return `#/party/${encodeURIComponent(partySelected)}`;
+    if (activeTool) return (gmTools[activeTool] && gmTools[activeTool].route) || `#/gm/${activeTool}`;
+    if (tagMode) return activeTag ? `#/tags/${encodeURIComponent(activeTag)}` : '#/tags';
+    if (searchMode && !activeCategory) return q ? `#/search${query}` : '#/';
+    if (activeCategory && activeEntry) {
+      return `#/${activeCategory}/${encodeURIComponent(activeEntry.id)}`;
     }
-
-    function drawLog() {
-      logContainer.innerHTML = '';
-      if (!destinyLog.length) {
-        const empty = document.createElement('div');
-        empty.className = 'destiny-log-entry';
-        empty.style.opacity = '0.7';
-        empty.textContent = 'No changes logged yet.';
-        logContainer.appendChild(empty);
-        return;
-      }
-      destinyLog.forEach(entry => {
-        const div = document.createElement('div');
-        div.className = 'destiny-log-entry';
-        div.textContent = entry;
-        logContainer.appendChild(div);
-      });
+    if (activeCategory) {
+      const params = new URLSearchParams();
+      if (q) params.set('q', q);
+      for (const t of facetsFor(activeCategory)) params.append('tag', t);
+      const qs = params.toString();
+      return `#/${activeCategory}${qs ? `?${qs}` : ''}`;
     }
+    return '#/';
+  }
 
-    // Button handlers
-    document.getElementById('addLight').addEventListener('click', () => {
-      destinyState.light++;
-      saveDestinyState();
-      addDestinyLogEntry('Added one Light Side token.');
-      drawTokens(); drawLog();
+  function parseRoute(hash) {
+    const raw = (hash || '').replace(/^#\/?/, '');
+    const [path, query = ''] = raw.split('?');
+    const segments = path.split('/').filter(Boolean).map(s => {
+      try { return decodeURIComponent(s); } catch { return s; }
     });
+    return { segments, params: new URLSearchParams(query) };
+  }
 
-    document.getElementById('removeLight').addEventListener('click', () => {
-      if (destinyState.light > 0) {
-        destinyState.light--;
-        saveDestinyState();
-        addDestinyLogEntry('Removed one Light Side token.');
-        drawTokens(); drawLog();
-      }
-    });
+  // Write the current view into the URL. Typing in search replaces the
+  // history entry instead of pushing one per keystroke.
+  function syncRoute() {
+    const next = routeForState();
+    const current = location.hash || '#/';
+    if (next === current) return;
 
-    document.getElementById('addDark').addEventListener('click', () => {
-      destinyState.dark++;
-      saveDestinyState();
-      addDestinyLogEntry('Added one Dark Side token.');
-      drawTokens(); drawLog();
-    });
+    const samePath = next.split('?')[0] === current.split('?')[0];
+    if (applyingRoute || samePath) {
+      history.replaceState(null, '', next);
+    } else {
+      history.pushState(null, '', next);
+    }
+  }
 
-    document.getElementById('removeDark').addEventListener('click', () => {
-      if (destinyState.dark > 0) {
-        destinyState.dark--;
-        saveDestinyState();
-        addDestinyLogEntry('Removed one Dark Side token.');
-        drawTokens(); drawLog();
+  function setActiveNav(btn) {
+    categoryBtns.forEach(b => b.classList.toggle('active', b === btn));
+  }
+
+  async function applyRoute(hash) {
+    const { segments, params } = parseRoute(hash);
+    const [head, second] = segments;
+
+    applyingRoute = true;
+    try {
+      if (head === 'gm' && gmTools[second]) {
+        setActiveNav(gmTools[second].btn);
+        gmTools[second].render();
+        return;
       }
-    });
 
-    document.getElementById('flipLightToDark').addEventListener('click', () => {
-      if (destinyState.light > 0) {
-        destinyState.light--;
-        destinyState.dark++;
-        saveDestinyState();
-        addDestinyLogEntry('Flipped one Light Side token to Dark.');
-        drawTokens(); drawLog();
+      if (head === 'tags') {
+        await renderTagView(second || null);
+        return;
       }
-    });
 
-    document.getElementById('flipDarkToLight').addEventListener('click', () => {
-      if (destinyState.dark > 0) {
-        destinyState.dark--;
-        destinyState.light++;
-        saveDestinyState();
-        addDestinyLogEntry('Flipped one Dark Side token to Light.');
-        drawTokens(); drawLog();
+      // tools open to everyone have their own top-level route (#/sync, #/graph)
+      const openTool = Object.values(gmTools).find(tool => tool.route === `#/${head}`);
+      if (openTool) {
+        setActiveNav(openTool.btn);
+        openTool.render(second || null);
+        return;
       }
-    });
 
-    document.getElementById('resetDestiny').addEventListener('click', () => {
-      destinyState = { light: 0, dark: 0 };
-      saveDestinyState();
-      addDestinyLogEntry('Reset Destiny Pool.');
-      drawTokens(); drawLog();
-    });
+      if (head === 'search') {
+        setActiveNav(null);
+        searchInput.value = params.get('q') || '';
+        await renderGlobalSearchResults();
+        return;
+      }
 
-    drawTokens();
-    drawLog();
-    updateBreadcrumbs();
+      if (categories.includes(head)) {
+        setActiveNav(document.querySelector(`.category-btn[data-category="${head}"]`));
+        activeTool     = null;
+        searchMode     = false;
+        activeCategory = head;
+        activeEntry    = null;
+        searchInput.value = second ? '' : (params.get('q') || '');
+        if (!second) activeFacets = { category: head, tags: new Set(params.getAll('tag')) };
+
+        const entries = await loadCategoryEntries(head);
+        const entry = second ? entries.find(e => e.id === second) : null;
+
+        if (entry && isVisible(entry)) {
+          activeEntry = entry;
+          renderEntryDetail(entry);
+        } else {
+          await renderListForActiveCategory();
+        }
+        return;
+      }
+
+      renderHome();
+    } finally {
+      applyingRoute = false;
+    }
   }
 
+  // Back/forward (and hand-edited URLs) re-render the matching view
+  window.addEventListener('hashchange', () => {
+    applyRoute(location.hash);
+  });
+
   /* ----------------- SIDEBAR WIRING ----------------- */
 
   // Category buttons (Codex)
   categoryBtns.forEach(btn => {
-    if (btn.id === 'homeBtn') return;
+    if (btn.id === 'homeBtn' || btn === tagsBtn || btn === syncBtn || btn === graphBtn || btn === mapBtn ||
+        btn === partyBtn || btn === notesBtn) return;
     if (btn.classList.contains('gm-tool-btn')) return;
 
     btn.addEventListener('click', async () => {
@@ -825,59 +6507,273 @@ document.addEventListener('DOMContentLoaded', () => {
       searchMode     = false;
       activeCategory = cat;
       activeEntry    = null;
+      activeFacets   = { category: cat, tags: new Set() };
 
       await loadCategoryEntries(cat);
       renderListForActiveCategory();
     });
   });
 
-  // GM Destiny Pool button
-  gmDestinyBtn.addEventListener('click', () => {
-    categoryBtns.forEach(b => b.classList.remove('active'));
-    gmDestinyBtn.classList.add('active');
+  // Tag index button
+  tagsBtn.addEventListener('click', () => {
+    searchInput.value = '';
+    renderTagView(null);
+  });
 
-    renderDestinyPoolPanel();
+  // GM tool buttons (Destiny Pool, Campaign Data, ...)
+  Object.values(gmTools).forEach(tool => {
+    tool.btn.addEventListener('click', () => {
+      setActiveNav(tool.btn);
+      tool.render();
+    });
   });
 
-  // Home button
-  homeBtn.addEventListener('click', () => {
+  function renderHome() {
     categoryBtns.forEach(b => b.classList.remove('active'));
     activeCategory = null;
     activeEntry    = null;
     activeTool     = null;
     searchMode     = false;
+    tagMode        = false;
     searchInput.value = '';
     entryContent.innerHTML = `<h1>Rebel Alliance Field Codex</h1>
       <p>Entries are not loaded until a category is selected. Click a category on the left to begin.</p>`;
-    breadcrumbs.innerHTML = '';
-  });
+    updateBreadcrumbs();
+  }
 
-  // Search handler (filters current category, or global search if none)
+  // Home button
+  homeBtn.addEventListener('click', renderHome);
+
+  // Search handler (filters current category, or global search if none).
+  // Debounced so a burst of keystrokes runs one search.
+  const SEARCH_DEBOUNCE_MS = 200;
+  let searchTimer = null;
   searchInput.addEventListener('input', () => {
-    handleSearchInput();
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(handleSearchInput, SEARCH_DEBOUNCE_MS);
   });
 
-  /* ----------------- GM MODE TOGGLE ----------------- */
+  /* ----------------- GM MODE ----------------- */
 
-  document.addEventListener('keydown', (ev) => {
-    if (ev.key.toLowerCase() === 'g') {
-      isGM = !isGM;
-      gmIndicator.classList.toggle('active', isGM);
+  // defaults when config.json omits a value; there is no default passphrase
+  const GM_DEFAULTS = { hotkey: 'g', autoLockMinutes: 30 };
 
-      if (activeTool === 'destiny') {
-        renderDestinyPoolPanel();
-      } else if (activeCategory) {
-        renderListForActiveCategory();
-      } else if (searchInput.value.trim()) {
-        renderGlobalSearchResults();
-      } else {
-        renderListForActiveCategory();
-      }
+  let gmConfig = Object.assign({}, GM_DEFAULTS);
+  let gmIdleTimer = null;
+
+  const gmConfigReady = fetchJson('config.json').then(config => {
+    gmConfig = Object.assign({}, GM_DEFAULTS, config && config.gm);
+    gmLockBtn.title = `GM Mode (${String(gmConfig.hotkey).toUpperCase()})`;
+  });
+
+  function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return bytes;
+  }
+
+  function bytesToHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // PBKDF2-SHA256, same parameters as tools/hash-passphrase.js
+  async function hashPassphrase(passphrase, saltHex, iterations) {
+    const key = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: hexToBytes(saltHex), iterations },
+      key,
+      256
+    );
+    return bytesToHex(new Uint8Array(bits));
+  }
+
+  // resolves to true/false; throws with a readable message if GM mode can't be checked
+  async function verifyPassphrase(passphrase) {
+    await gmConfigReady;
+    const { salt, iterations, passphraseHash } = gmConfig;
+    if (!salt || !passphraseHash || !iterations) {
+      throw new Error('No GM passphrase configured. Run: node tools/hash-passphrase.js "<passphrase>" --write');
+    }
+    if (!window.crypto || !crypto.subtle) {
+      throw new Error('Passphrase check needs HTTPS or localhost.');
+    }
+    return (await hashPassphrase(passphrase, salt, iterations)) === passphraseHash;
+  }
+
+  // re-render whatever is on screen after GM mode or unlock state changes
+  function refreshCurrentView() {
+    if (activeTool && gmTools[activeTool]) {
+      gmTools[activeTool].render();
+    } else if (tagMode) {
+      renderTagView(activeTag);
+    } else if (activeEntry && isVisible(activeEntry)) {
+      renderEntryDetail(activeEntry);
+    } else if (activeCategory) {
+      activeEntry = null;
+      renderListForActiveCategory();
+    } else if (searchInput.value.trim()) {
+      renderGlobalSearchResults();
+    } else {
+      renderListForActiveCategory();
+    }
+  }
+
+  function setGMMode(on) {
+    isGM = on;
+    gmIndicator.classList.toggle('active', isGM);
+    gmLockBtn.classList.toggle('unlocked', isGM);
+    gmLockBtn.textContent = isGM ? 'GM: Unlocked' : 'GM: Locked';
+    campaignSelect.disabled = !isGM;
+
+    clearTimeout(gmIdleTimer);
+    if (isGM) resetGMIdleTimer();
 
-      console.log('GM Mode', isGM ? 'ON' : 'OFF');
+    // a GM sync session only runs while GM mode is unlocked
+    if (syncSettings.role === 'gm') {
+      if (isGM && syncSettings.autoConnect) connectSync();
+      else if (!isGM && syncSocket)         syncSocket.close();
     }
+
+    refreshCurrentView();
+    console.log('GM Mode', isGM ? 'ON' : 'OFF');
+  }
+
+  function resetGMIdleTimer() {
+    if (!isGM) return;
+    const minutes = Number(gmConfig.autoLockMinutes);
+    if (!Number.isFinite(minutes) || minutes <= 0) return;
+    clearTimeout(gmIdleTimer);
+    gmIdleTimer = setTimeout(() => setGMMode(false), minutes * 60 * 1000);
+  }
+
+  function closeGMPrompt() {
+    const existing = document.getElementById('gmPrompt');
+    if (existing) existing.remove();
+  }
+
+  function openGMPrompt() {
+    if (document.getElementById('gmPrompt')) return;
+
+    const overlay = document.createElement('div');
+    overlay.id = 'gmPrompt';
+    overlay.className = 'gm-prompt';
+
+    const form = document.createElement('form');
+    form.className = 'gm-prompt-box';
+    form.innerHTML = `
+      <div class="gm-prompt-title">GM Authorization</div>
+      <input type="password" class="gm-prompt-input" placeholder="Passphrase" autocomplete="current-password">
+      <div class="gm-prompt-error"></div>
+      <div class="gm-prompt-controls">
+        <button type="submit" class="gm-prompt-btn">Unlock</button>
+        <button type="button" class="gm-prompt-btn gm-prompt-cancel">Cancel</button>
+      </div>
+    `;
+    overlay.appendChild(form);
+    screen.appendChild(overlay);
+
+    const input = form.querySelector('.gm-prompt-input');
+    const errorBox = form.querySelector('.gm-prompt-error');
+
+    form.querySelector('.gm-prompt-cancel').addEventListener('click', closeGMPrompt);
+    form.addEventListener('keydown', (ev) => {
+      if (ev.key === 'Escape') closeGMPrompt();
+    });
+
+    form.addEventListener('submit', async (ev) => {
+      ev.preventDefault();
+      errorBox.textContent = '';
+      try {
+        if (await verifyPassphrase(input.value)) {
+          closeGMPrompt();
+          setGMMode(true);
+        } else {
+          errorBox.textContent = 'Access denied.';
+          input.select();
+        }
+      } catch (e) {
+        errorBox.textContent = e.message;
+      }
+    });
+
+    input.focus();
+  }
+
+  function toggleGMMode() {
+    if (isGM) setGMMode(false);
+    else      openGMPrompt();
+  }
+
+  function isTypingTarget(el) {
+    if (!el) return false;
+    const tag = el.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || el.isContentEditable;
+  }
+
+  document.addEventListener('keydown', (ev) => {
+    if (ev.ctrlKey || ev.metaKey || ev.altKey) return;
+    if (isTypingTarget(ev.target)) return;
+    if (ev.key.toLowerCase() !== String(gmConfig.hotkey).toLowerCase()) return;
+
+    ev.preventDefault();
+    toggleGMMode();
+  });
+
+  gmLockBtn.addEventListener('click', toggleGMMode);
+
+  // any activity keeps an unlocked GM session alive
+  ['pointerdown', 'keydown', 'wheel'].forEach(type => {
+    document.addEventListener(type, resetGMIdleTimer, { passive: true });
   });
 
+  /* ----------------- OFFLINE SUPPORT ----------------- */
+
+  let offlineReady = false; // true once a service worker controls the page
+  let statusFlashTimer = null;
+
+  function updateNetStatus() {
+    netStatus.classList.toggle('offline', !navigator.onLine);
+    if (navigator.onLine) {
+      netStatus.textContent = offlineReady ? 'ONLINE · CACHED' : 'ONLINE';
+    } else {
+      netStatus.textContent = offlineReady ? 'OFFLINE · CACHED' : 'OFFLINE';
+    }
+  }
+
+  function flashNetStatus(text) {
+    clearTimeout(statusFlashTimer);
+    netStatus.textContent = text;
+    statusFlashTimer = setTimeout(updateNetStatus, 2500);
+  }
+
+  window.addEventListener('online', updateNetStatus);
+  window.addEventListener('offline', updateNetStatus);
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js').then(() => {
+      return navigator.serviceWorker.ready;
+    }).then(() => {
+      offlineReady = true;
+      updateNetStatus();
+      // already-controlled page: pull in any entry edits since last visit
+      if (navigator.onLine && navigator.serviceWorker.controller) {
+        navigator.serviceWorker.controller.postMessage({ type: 'refresh' });
+      }
+    }).catch(e => {
+      console.warn('service worker unavailable', e);
+    });
+
+    navigator.serviceWorker.addEventListener('message', (ev) => {
+      if (ev.data && ev.data.type === 'cache-updated') {
+        flashNetStatus(`CACHE UPDATED · ${ev.data.files} FILES`);
+      }
+    });
+  }
+
+  updateNetStatus();
+
   /* ----------------- VISUAL FX ----------------- */
 
   function randomFlicker() {
@@ -916,6 +6812,6 @@ document.addEventListener('DOMContentLoaded', () => {
   }
   setInterval(() => { if (Math.random() < 0.28) createRandomDot(); }, 55);
 
-  // initial state (no category, home screen)
-  homeBtn.click();
+  // initial state: restore the view named in the URL (home if none)
+  applyRoute(location.hash);
 });
@@ -0,0 +1,195 @@
+/* Offline support for the datapad:
+   - Precaches the app shell, every manifest, entry JSON and referenced image
+   - The cache manifest (list of URLs) is discovered from entries/<category>/manifest.json
+     the same way script.js loads entries, plus the compiled bundle when present
+   - Same-origin GETs: network first, cached copy when offline (images: cache first)
+   - Refresh: the page asks for one on load; a complete new cache is built
+     and only then are older caches dropped, so entry edits swap in cleanly
+*/
+
+const CACHE_PREFIX = 'codex-';
+
+const CATEGORIES = ['planets','characters','vehicles','items','factions','missions','threats'];
+
+const SHELL = [
+  './',
+  'index.html',
+  'styles.css',
+  'script.js',
+  'config.json',
+  'images/metal_noise.png'
+];
+
+const BUNDLE_PATH = 'entries/codex.bundle.json';
+
+let refreshing = null; // in-flight refresh promise
+
+/* ----------------- CACHE MANIFEST ----------------- */
+
+async function fetchJson(url) {
+  try {
+    const r = await fetch(url, { cache: 'no-cache' });
+    if (!r.ok) return null;
+    return await r.json();
+  } catch {
+    return null;
+  }
+}
+
+// every URL the datapad needs to work offline
+async function buildCacheManifest() {
+  const urls = new Set(SHELL);
+
+  const bundle = await fetchJson(BUNDLE_PATH);
+  if (bundle) {
+    urls.add(BUNDLE_PATH);
+    for (const chunk of Object.values(bundle.chunks || {})) urls.add(`entries/${chunk}`);
+  }
+
+  for (const category of CATEGORIES) {
+    const manifest = `entries/${category}/manifest.json`;
+    const files = await fetchJson(manifest);
+    if (!Array.isArray(files)) continue;
+    urls.add(manifest);
+
+    const entries = await Promise.all(files.map(async file => {
+      const url = `entries/${category}/${file}`;
+      urls.add(url);
+      return fetchJson(url);
+    }));
+
+    for (const entry of entries) {
+      if (entry && typeof entry.image === 'string' && entry.image) urls.add(entry.image);
+    }
+  }
+
+  return [...urls];
+}
+
+/* ----------------- CACHE LIFECYCLE ----------------- */
+
+async function currentCacheName() {
+  const names = (await caches.keys()).filter(n => n.startsWith(CACHE_PREFIX)).sort();
+  return names[names.length - 1] || null;
+}
+
+// newest cache other than the one being filled
+async function previousCache(exclude) {
+  const names = (await caches.keys())
+    .filter(n => n.startsWith(CACHE_PREFIX) && n !== exclude)
+    .sort();
+  return names.length ? caches.open(names[names.length - 1]) : null;
+}
+
+// Fill a brand new cache (copying over anything that failed to download),
+// then delete every older one
+async function refreshCache() {
+  const name  = `${CACHE_PREFIX}${Date.now()}`;
+  const cache = await caches.open(name);
+  const urls  = await buildCacheManifest();
+
+  let stored = 0;
+  const failed = [];
+  await Promise.all(urls.map(async url => {
+    try {
+      const r = await fetch(url, { cache: 'no-cache' });
+      if (r.ok) {
+        await cache.put(url, r);
+        stored++;
+        return;
+      }
+    } catch {
+      // offline: fall through
+    }
+    failed.push(url);
+  }));
+
+  // nothing reachable (offline) → keep the old cache
+  if (!stored) {
+    await caches.delete(name);
+    return null;
+  }
+
+  // flaky connection: carry over whatever the previous cache had
+  const previous = await previousCache(name);
+  if (previous) {
+    await Promise.all(failed.map(async url => {
+      const cached = await previous.match(url);
+      if (cached) await cache.put(url, cached);
+    }));
+  }
+
+  const old = (await caches.keys()).filter(n => n.startsWith(CACHE_PREFIX) && n !== name);
+  await Promise.all(old.map(n => caches.delete(n)));
+  return { files: stored };
+}
+
+function refreshOnce() {
+  if (!refreshing) {
+    refreshing = refreshCache().finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true });
+  clients.forEach(c => c.postMessage(message));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(refreshOnce().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', (event) => {
+  if (!event.data || event.data.type !== 'refresh') return;
+  event.waitUntil(refreshOnce().then(result => {
+    if (result) notifyClients({ type: 'cache-updated', files: result.files });
+  }));
+});
+
+/* ----------------- FETCH ----------------- */
+
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const name = await currentCacheName();
+      if (name) {
+        const cache = await caches.open(name);
+        await cache.put(request, response.clone());
+      }
+    }
+    return response;
+  } catch (e) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    if (request.mode === 'navigate') {
+      const shell = await caches.match('index.html');
+      if (shell) return shell;
+    }
+    throw e;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  return cached || networkFirst(request);
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.destination === 'image') {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(networkFirst(request));
+  }
+});
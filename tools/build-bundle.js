@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/* Codex bundle builder
+   - Compiles every entries/<category>/manifest.json and its entry files
+     into one versioned bundle: entries/codex.bundle.json
+   - With --chunks, writes one content-hashed file per category
+     (entries/codex.<category>.<hash>.json) and the bundle becomes an index
+   - Each category's manifest is copied into the bundle; script.js prefers the
+     bundle but falls back to per-file loading when it is missing or a manifest
+     no longer matches, so authors can skip this step while editing entries
+
+   Usage:
+     node tools/build-bundle.js
+     node tools/build-bundle.js --chunks
+*/
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const ROOT        = path.resolve(__dirname, '..');
+const ENTRIES_DIR = path.join(ROOT, 'entries');
+const BUNDLE_FILE = path.join(ENTRIES_DIR, 'codex.bundle.json');
+
+// bump when the bundle layout changes in a way script.js must know about
+const BUNDLE_FORMAT = 1;
+
+const useChunks = process.argv.includes('--chunks');
+
+function hashOf(value) {
+  return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 12);
+}
+
+function listCategories() {
+  return fs.readdirSync(ENTRIES_DIR, { withFileTypes: true })
+    .filter(d => d.isDirectory())
+    .map(d => d.name)
+    .filter(name => fs.existsSync(path.join(ENTRIES_DIR, name, 'manifest.json')))
+    .sort();
+}
+
+// Mirrors loadCategoryEntries in script.js: manifest order, id falls back to
+// the filename, category is stamped on each entry, broken files are skipped.
+// Returns { files, entries }.
+function loadCategory(category) {
+  const dir = path.join(ENTRIES_DIR, category);
+  let files;
+  try {
+    files = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+  } catch (e) {
+    console.warn(`skipping ${category}: manifest does not parse (${e.message})`);
+    return null;
+  }
+  if (!Array.isArray(files)) {
+    console.warn(`skipping ${category}: manifest is not an array`);
+    return null;
+  }
+
+  const entries = [];
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+      console.warn(`skipping ${path.relative(ROOT, filePath)}: ${e.message}`);
+      continue;
+    }
+    if (!data.id) data.id = file.replace(/\.[^/.]+$/, '');
+    data.category = category;
+    entries.push(data);
+  }
+  return { files, entries };
+}
+
+function removeOldOutputs() {
+  for (const name of fs.readdirSync(ENTRIES_DIR)) {
+    if (/^codex\..+\.json$/.test(name)) fs.unlinkSync(path.join(ENTRIES_DIR, name));
+  }
+}
+
+function writeJson(file, value) {
+  fs.writeFileSync(file, JSON.stringify(value) + '\n');
+}
+
+function main() {
+  const byCategory = {};
+  const manifests  = {};
+  let total = 0;
+  for (const category of listCategories()) {
+    const loaded = loadCategory(category);
+    if (!loaded) continue;
+    byCategory[category] = loaded.entries;
+    manifests[category]  = loaded.files;
+    total += loaded.entries.length;
+  }
+
+  removeOldOutputs();
+
+  const bundle = {
+    format:  BUNDLE_FORMAT,
+    version: hashOf(byCategory),
+    builtAt: new Date().toISOString(),
+    manifests
+  };
+
+  if (useChunks) {
+    bundle.chunks = {};
+    for (const [category, entries] of Object.entries(byCategory)) {
+      const name = `codex.${category}.${hashOf(entries)}.json`;
+      writeJson(path.join(ENTRIES_DIR, name), entries);
+      bundle.chunks[category] = name;
+    }
+  } else {
+    bundle.categories = byCategory;
+  }
+
+  writeJson(BUNDLE_FILE, bundle);
+
+  const cats = Object.keys(byCategory).length;
+  console.log(`wrote ${path.relative(ROOT, BUNDLE_FILE)} (version ${bundle.version}): ` +
+    `${total} entries in ${cats} categories${useChunks ? ', chunked' : ''}`);
+}
+
+main();
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/* GM passphrase hasher
+   - Derives a salted PBKDF2-SHA256 hash of a passphrase, matching the
+     Web Crypto check in script.js
+   - Prints the "gm" config block, or writes it into config.json with --write
+
+   Usage:
+     node tools/hash-passphrase.js "new passphrase"
+     node tools/hash-passphrase.js "new passphrase" --write
+*/
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const CONFIG_FILE = path.resolve(__dirname, '..', 'config.json');
+const ITERATIONS  = 150000;
+
+const args = process.argv.slice(2);
+const write = args.includes('--write');
+const passphrase = args.find(a => a !== '--write');
+
+if (!passphrase) {
+  console.error('usage: node tools/hash-passphrase.js "<passphrase>" [--write]');
+  process.exit(1);
+}
+
+const salt = crypto.randomBytes(16);
+const hash = crypto.pbkdf2Sync(passphrase, salt, ITERATIONS, 32, 'sha256');
+
+const block = {
+  salt:           salt.toString('hex'),
+  iterations:     ITERATIONS,
+  passphraseHash: hash.toString('hex')
+};
+
+if (!write) {
+  console.log(JSON.stringify(block, null, 2));
+  process.exit(0);
+}
+
+let config = {};
+try {
+  config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+} catch {
+  // start a fresh config
+}
+config.gm = Object.assign({}, config.gm, block);
+fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2) + '\n');
+console.log(`updated ${path.relative(process.cwd(), CONFIG_FILE)}`);
@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+/* Table sync relay
+   - Tiny WebSocket relay for the GM's laptop; no dependencies beyond Node
+   - Clients say hello with a role: "player", or "gm" plus the relay's GM key
+   - Messages from the GM (unlocks, Destiny Pool, mission progress, revealed
+     handouts, pushed entries, snapshots) are forwarded to every player;
+     players can only listen
+   - The last GM snapshot of each campaign is replayed to players who join
+     late, the GM's current campaign last so players end up following it
+   - Messages over 2 MB (room for a snapshot with a handout image) close the
+     connection with status 1009
+
+   Usage:
+     node tools/relay.js --gm-key <secret> [--port 8787]
+*/
+
+const http   = require('http');
+const crypto = require('crypto');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC11B65';
+
+// messages a GM may broadcast; anything else is dropped
+const GM_MESSAGES = ['unlock', 'destiny', 'mission', 'annotations', 'push-entry', 'snapshot'];
+
+// largest message (single frame or reassembled fragments) the relay accepts
+const MAX_MESSAGE_BYTES = 2 * 1024 * 1024;
+const CLOSE_TOO_BIG     = 1009;
+
+function argValue(name, fallback) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const PORT   = Number(argValue('--port', process.env.RELAY_PORT || 8787));
+const GM_KEY = argValue('--gm-key', process.env.RELAY_GM_KEY || '');
+
+if (!GM_KEY) {
+  console.error('usage: node tools/relay.js --gm-key <secret> [--port 8787]');
+  process.exit(1);
+}
+
+const clients = new Set(); // { socket, role, buffer }
+const lastSnapshots = new Map(); // campaign id → snapshot, least recent first
+
+/* ----------------- FRAMES ----------------- */
+
+function encodeFrame(opcode, payload) {
+  const body = Buffer.from(payload);
+  let header;
+  if (body.length < 126) {
+    header = Buffer.from([0x80 | opcode, body.length]);
+  } else if (body.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(body.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(body.length), 2);
+  }
+  return Buffer.concat([header, body]);
+}
+
+function closeFrame(status) {
+  const payload = Buffer.alloc(2);
+  payload.writeUInt16BE(status, 0);
+  return encodeFrame(0x8, payload);
+}
+
+// pulls complete frames off the client's buffer: [{ fin, opcode, payload }];
+// null when a frame is larger than MAX_MESSAGE_BYTES
+function decodeFrames(client) {
+  const frames = [];
+  let buf = client.buffer;
+
+  while (buf.length >= 2) {
+    const fin    = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let length   = buf[1] & 0x7f;
+    let offset   = 2;
+
+    if (length === 126) {
+      if (buf.length < 4) break;
+      length = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buf.length < 10) break;
+      length = Number(buf.readBigUInt64BE(2));
+      offset = 10;
+    }
+    if (length > MAX_MESSAGE_BYTES) return null;
+
+    const maskLen = masked ? 4 : 0;
+    if (buf.length < offset + maskLen + length) break;
+
+    const mask = masked ? buf.slice(offset, offset + 4) : null;
+    const payload = Buffer.from(buf.slice(offset + maskLen, offset + maskLen + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+
+    frames.push({ fin, opcode, payload });
+    buf = buf.slice(offset + maskLen + length);
+  }
+
+  client.buffer = buf;
+  return frames;
+}
+
+/* ----------------- CLIENTS ----------------- */
+
+function send(client, message) {
+  if (client.socket.destroyed) return;
+  client.socket.write(encodeFrame(0x1, JSON.stringify(message)));
+}
+
+function broadcastToPlayers(message) {
+  for (const c of clients) {
+    if (c.role === 'player') send(c, message);
+  }
+}
+
+function presence() {
+  const counts = { gm: 0, player: 0 };
+  for (const c of clients) if (c.role) counts[c.role]++;
+  return { type: 'presence', gms: counts.gm, players: counts.player };
+}
+
+function announcePresence() {
+  const message = presence();
+  for (const c of clients) if (c.role) send(c, message);
+}
+
+function handleMessage(client, text) {
+  let msg;
+  try {
+    msg = JSON.parse(text);
+  } catch {
+    return send(client, { type: 'error', message: 'invalid JSON' });
+  }
+  if (!msg || typeof msg.type !== 'string') return;
+
+  if (msg.type === 'hello') {
+    if (msg.role === 'gm') {
+      if (msg.key !== GM_KEY) {
+        send(client, { type: 'error', code: 'auth', message: 'GM key rejected' });
+        client.socket.end(encodeFrame(0x8, ''));
+        return;
+      }
+      client.role = 'gm';
+    } else {
+      client.role = 'player';
+    }
+    send(client, { type: 'welcome', role: client.role });
+    if (client.role === 'player') lastSnapshots.forEach(snapshot => send(client, snapshot));
+    announcePresence();
+    console.log(`${client.role} joined (${clients.size} connected)`);
+    return;
+  }
+
+  if (msg.type === 'ping') {
+    send(client, { type: 'pong' });
+    return;
+  }
+
+  if (client.role !== 'gm' || !GM_MESSAGES.includes(msg.type)) return;
+
+  if (msg.type === 'snapshot') {
+    // re-insert so the GM's current campaign is replayed last
+    lastSnapshots.delete(msg.campaign);
+    lastSnapshots.set(msg.campaign, msg);
+  }
+  broadcastToPlayers(msg);
+}
+
+// drops the client's buffers and closes with "message too big"
+function rejectOversized(client) {
+  client.closed    = true;
+  client.buffer    = Buffer.alloc(0);
+  client.fragments = [];
+  client.socket.end(closeFrame(CLOSE_TOO_BIG));
+}
+
+function handleFrames(client) {
+  const frames = decodeFrames(client);
+  if (!frames) return rejectOversized(client);
+
+  for (const frame of frames) {
+    switch (frame.opcode) {
+      case 0x0: // continuation
+        client.fragments.push(frame.payload);
+        if (client.fragments.reduce((n, f) => n + f.length, 0) > MAX_MESSAGE_BYTES) {
+          return rejectOversized(client);
+        }
+        if (frame.fin) {
+          handleMessage(client, Buffer.concat(client.fragments).toString('utf8'));
+          client.fragments = [];
+        }
+        break;
+      case 0x1: // text
+        if (frame.fin) handleMessage(client, frame.payload.toString('utf8'));
+        else client.fragments = [frame.payload];
+        break;
+      case 0x8: // close
+        client.socket.end(encodeFrame(0x8, ''));
+        break;
+      case 0x9: // ping
+        client.socket.write(encodeFrame(0xA, frame.payload));
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+/* ----------------- SERVER ----------------- */
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/plain' });
+  res.end(`Codex relay: ${clients.size} connected\n`);
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+
+  const client = { socket, role: null, buffer: Buffer.alloc(0), fragments: [], closed: false };
+  clients.add(client);
+
+  socket.on('data', (chunk) => {
+    if (client.closed) return;
+    client.buffer = Buffer.concat([client.buffer, chunk]);
+    handleFrames(client);
+    // whatever is left is one partial frame: at most its 14-byte header plus payload
+    if (!client.closed && client.buffer.length > MAX_MESSAGE_BYTES + 14) rejectOversized(client);
+  });
+
+  const drop = () => {
+    if (!clients.delete(client)) return;
+    if (client.role) console.log(`${client.role} left (${clients.size} connected)`);
+    announcePresence();
+  };
+  socket.on('close', drop);
+  socket.on('error', drop);
+});
+
+server.listen(PORT, () => {
+  console.log(`codex relay listening on ws://0.0.0.0:${PORT}`);
+});
@@ -0,0 +1,524 @@
+#!/usr/bin/env node
+/* Entry validator / manifest linter
+   - Walks every entries/<category>/manifest.json
+   - Checks each listed file exists and parses as JSON
+   - Enforces the entry schema:
+       * id matches the filename; "-" and "_" count as the same character, so
+         t-65b-x-wing.json may hold "t_65b_x_wing" (see README)
+       * name + description are non-empty strings
+       * gmMode is a boolean
+       * tags is an array of strings
+       * related is an array of { id, category? } pointing at known categories
+       * sections is an array of { id, title, body, visibility } with unique ids
+       * stats (threats and vehicles only) follows that category's stat block
+       * missions may add objectives, phases, locations, npcs and timeLimitMinutes
+       * planets may add region, sector, grid ("R-16") and hyperlanes: [{ to, route? }]
+       * revealGroups is an array of { id, title, reveals: [{ id, category? }] }
+   - Flags orphan JSON files that are missing from the manifest
+   - Flags image paths that don't exist on disk (errors; warnings with --lenient)
+   - Flags dangling `related` references, reveal group targets and inline
+     [[category/id]] links
+   - Exits non-zero when any error is found
+
+   Usage:
+     node tools/validate-entries.js             (any problem fails)
+     node tools/validate-entries.js --lenient   (missing images are only warnings)
+*/
+
+const fs   = require('fs');
+const path = require('path');
+
+const ROOT        = path.resolve(__dirname, '..');
+const ENTRIES_DIR = path.join(ROOT, 'entries');
+
+const lenient = process.argv.includes('--lenient');
+
+// problems collected per file: { file: [{ level, message }] }
+const problems = {};
+
+function report(file, level, message) {
+  const rel = path.relative(ROOT, file) || file;
+  if (!problems[rel]) problems[rel] = [];
+  problems[rel].push({ level, message });
+}
+
+const error = (file, message) => report(file, 'error', message);
+const warn  = (file, message) => report(file, 'warning', message);
+
+// "a280-blaster-rifle" and "a280_blaster_rifle" are treated as the same id
+const normalizeId = id => String(id).toLowerCase().replace(/-/g, '_');
+
+const SECTION_VISIBILITY = ['public', 'gm', 'unlockable'];
+
+const OBJECTIVE_TYPES = ['primary', 'optional', 'secret'];
+
+const CHARACTERISTICS = ['brawn', 'agility', 'intellect', 'cunning', 'willpower', 'presence'];
+const ADVERSARY_TYPES = ['minion', 'rival', 'nemesis'];
+
+// required numeric fields of each category's stat block
+const STAT_NUMBERS = {
+  threats:  ['soak', 'wounds'],
+  vehicles: ['silhouette', 'speed', 'handling', 'armor', 'hullTrauma', 'systemStrain']
+};
+
+function readJson(file) {
+  try {
+    return { data: JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (e) {
+    return { err: e.message };
+  }
+}
+
+function isNonEmptyString(v) {
+  return typeof v === 'string' && v.trim().length > 0;
+}
+
+/* ----------------- DISCOVERY ----------------- */
+
+function listCategories() {
+  return fs.readdirSync(ENTRIES_DIR, { withFileTypes: true })
+    .filter(d => d.isDirectory())
+    .map(d => d.name)
+    .filter(name => fs.existsSync(path.join(ENTRIES_DIR, name, 'manifest.json')))
+    .sort();
+}
+
+/* ----------------- SCHEMA ----------------- */
+
+function validateEntry(file, category, entry, categories) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    error(file, 'entry must be a JSON object');
+    return;
+  }
+
+  const stem = path.basename(file, '.json');
+
+  if (!isNonEmptyString(entry.id)) {
+    error(file, 'missing "id"');
+  } else if (normalizeId(entry.id) !== normalizeId(stem)) {
+    error(file, `id "${entry.id}" does not match filename "${stem}"`);
+  }
+
+  if (!isNonEmptyString(entry.name))        error(file, 'missing "name"');
+  if (!isNonEmptyString(entry.description)) error(file, 'missing "description"');
+
+  if (typeof entry.gmMode !== 'boolean') {
+    error(file, '"gmMode" must be true or false');
+  }
+
+  if (entry.tags !== undefined) {
+    if (!Array.isArray(entry.tags)) {
+      error(file, '"tags" must be an array');
+    } else {
+      entry.tags.forEach((tag, i) => {
+        if (!isNonEmptyString(tag)) error(file, `tags[${i}] must be a non-empty string`);
+      });
+    }
+  }
+
+  if (entry.image !== undefined && typeof entry.image !== 'string') {
+    error(file, '"image" must be a string path');
+  } else if (isNonEmptyString(entry.image) && !fs.existsSync(path.join(ROOT, entry.image))) {
+    (lenient ? warn : error)(file, `image not found: ${entry.image}`);
+  }
+
+  if (entry.related !== undefined) {
+    if (!Array.isArray(entry.related)) {
+      error(file, '"related" must be an array');
+    } else {
+      entry.related.forEach((ref, i) => {
+        if (!ref || typeof ref !== 'object') {
+          error(file, `related[${i}] must be an object`);
+          return;
+        }
+        if (!isNonEmptyString(ref.id)) {
+          error(file, `related[${i}] is missing "id"`);
+        }
+        if (ref.category !== undefined && !categories.includes(ref.category)) {
+          error(file, `related[${i}] has unknown category "${ref.category}"`);
+        }
+      });
+    }
+  }
+
+  if (entry.sections !== undefined) validateSections(file, entry.sections);
+  if (entry.stats !== undefined)    validateStats(file, category, entry.stats);
+  validateBriefing(file, category, entry, categories);
+  validateMapFields(file, category, entry);
+  validateRevealGroups(file, entry, categories);
+}
+
+function validateSections(file, sections) {
+  if (!Array.isArray(sections)) {
+    error(file, '"sections" must be an array');
+    return;
+  }
+  const ids = new Set();
+  sections.forEach((sec, i) => {
+    if (!sec || typeof sec !== 'object') {
+      error(file, `sections[${i}] must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(sec.id)) {
+      error(file, `sections[${i}] is missing "id"`);
+    } else if (ids.has(sec.id)) {
+      error(file, `sections[${i}] duplicates id "${sec.id}"`);
+    } else {
+      ids.add(sec.id);
+    }
+    if (!isNonEmptyString(sec.title)) error(file, `sections[${i}] is missing "title"`);
+    if (!isNonEmptyString(sec.body))  error(file, `sections[${i}] is missing "body"`);
+    if (!SECTION_VISIBILITY.includes(sec.visibility)) {
+      error(file, `sections[${i}] visibility must be one of ${SECTION_VISIBILITY.join(', ')}`);
+    }
+  });
+}
+
+/* ----------------- STAT BLOCKS ----------------- */
+
+const isInteger = v => Number.isInteger(v);
+
+function validateStats(file, category, stats) {
+  if (!STAT_NUMBERS[category]) {
+    error(file, `"stats" is only supported for ${Object.keys(STAT_NUMBERS).join(' and ')}`);
+    return;
+  }
+  if (!stats || typeof stats !== 'object' || Array.isArray(stats)) {
+    error(file, '"stats" must be an object');
+    return;
+  }
+
+  for (const field of STAT_NUMBERS[category]) {
+    if (!isInteger(stats[field])) error(file, `stats.${field} must be a whole number`);
+  }
+
+  if (category === 'threats') {
+    const chars = stats.characteristics;
+    if (!chars || typeof chars !== 'object') {
+      error(file, 'stats.characteristics is required');
+    } else {
+      for (const c of CHARACTERISTICS) {
+        if (!isInteger(chars[c]) || chars[c] < 1 || chars[c] > 7) {
+          error(file, `stats.characteristics.${c} must be a whole number from 1 to 7`);
+        }
+      }
+    }
+    if (stats.adversary !== undefined && !ADVERSARY_TYPES.includes(stats.adversary)) {
+      error(file, `stats.adversary must be one of ${ADVERSARY_TYPES.join(', ')}`);
+    }
+    if (stats.strain !== undefined && !isInteger(stats.strain)) {
+      error(file, 'stats.strain must be a whole number');
+    }
+    validateStatNumbers(file, 'stats.defense', stats.defense, ['melee', 'ranged']);
+    validateNamedList(file, 'stats.skills', stats.skills, (skill, where) => {
+      if (!isInteger(skill.rank)) error(file, `${where}.rank must be a whole number`);
+    });
+    validateNamedList(file, 'stats.talents', stats.talents, null, true);
+  } else {
+    validateStatNumbers(file, 'stats.defense', stats.defense, ['fore', 'aft', 'port', 'starboard']);
+  }
+
+  validateNamedList(file, 'stats.weapons', stats.weapons, (weapon, where) => {
+    if (typeof weapon.damage !== 'number' && !isNonEmptyString(weapon.damage)) {
+      error(file, `${where}.damage must be a number or a string like "+3"`);
+    }
+    if (!isInteger(weapon.crit)) error(file, `${where}.crit must be a whole number`);
+    if (!isNonEmptyString(weapon.range)) error(file, `${where}.range is required`);
+    if (weapon.qualities !== undefined && !Array.isArray(weapon.qualities)) {
+      error(file, `${where}.qualities must be an array`);
+    }
+  });
+}
+
+function validateStatNumbers(file, where, value, keys) {
+  if (value === undefined) return;
+  if (!value || typeof value !== 'object') {
+    error(file, `${where} must be an object`);
+    return;
+  }
+  for (const key of Object.keys(value)) {
+    if (!keys.includes(key))        error(file, `${where}.${key} is not one of ${keys.join(', ')}`);
+    else if (!isInteger(value[key])) error(file, `${where}.${key} must be a whole number`);
+  }
+}
+
+// arrays of { name, ... }; plain strings allowed where allowStrings is set
+function validateNamedList(file, where, list, check, allowStrings) {
+  if (list === undefined) return;
+  if (!Array.isArray(list)) {
+    error(file, `${where} must be an array`);
+    return;
+  }
+  list.forEach((item, i) => {
+    if (allowStrings && isNonEmptyString(item)) return;
+    if (!item || typeof item !== 'object' || !isNonEmptyString(item.name)) {
+      error(file, `${where}[${i}] is missing "name"`);
+      return;
+    }
+    if (check) check(item, `${where}[${i}]`);
+  });
+}
+
+/* ----------------- MISSION BRIEFINGS ----------------- */
+
+const BRIEFING_FIELDS = ['objectives', 'phases', 'locations', 'npcs', 'timeLimitMinutes'];
+
+function validateBriefing(file, category, entry, categories) {
+  const present = BRIEFING_FIELDS.filter(field => entry[field] !== undefined);
+  if (!present.length) return;
+  if (category !== 'missions') {
+    error(file, `"${present[0]}" is only supported for missions`);
+    return;
+  }
+
+  if (entry.timeLimitMinutes !== undefined &&
+      (!Number.isInteger(entry.timeLimitMinutes) || entry.timeLimitMinutes <= 0)) {
+    error(file, '"timeLimitMinutes" must be a positive whole number');
+  }
+
+  validateIdList(file, 'objectives', entry.objectives, (obj, where) => {
+    if (!isNonEmptyString(obj.text)) error(file, `${where} is missing "text"`);
+    if (!OBJECTIVE_TYPES.includes(obj.type)) {
+      error(file, `${where} type must be one of ${OBJECTIVE_TYPES.join(', ')}`);
+    }
+  });
+
+  validateIdList(file, 'phases', entry.phases, (phase, where) => {
+    if (!isNonEmptyString(phase.title)) error(file, `${where} is missing "title"`);
+  });
+
+  for (const field of ['locations', 'npcs']) {
+    const list = entry[field];
+    if (list === undefined) continue;
+    if (!Array.isArray(list)) {
+      error(file, `"${field}" must be an array`);
+      continue;
+    }
+    list.forEach((ref, i) => {
+      if (!ref || typeof ref !== 'object' || (!isNonEmptyString(ref.id) && !isNonEmptyString(ref.name))) {
+        error(file, `${field}[${i}] needs an "id" (codex entry) or a "name"`);
+      } else if (ref.category !== undefined && !categories.includes(ref.category)) {
+        error(file, `${field}[${i}] has unknown category "${ref.category}"`);
+      }
+    });
+  }
+}
+
+/* ----------------- REVEAL GROUPS ----------------- */
+
+function validateRevealGroups(file, entry, categories) {
+  validateIdList(file, 'revealGroups', entry.revealGroups, (group, where) => {
+    if (!isNonEmptyString(group.title)) error(file, `${where} is missing "title"`);
+    if (!Array.isArray(group.reveals) || !group.reveals.length) {
+      error(file, `${where}.reveals must be a non-empty array`);
+      return;
+    }
+    group.reveals.forEach((ref, i) => {
+      if (!ref || !isNonEmptyString(ref.id)) {
+        error(file, `${where}.reveals[${i}] is missing "id"`);
+      } else if (ref.category !== undefined && !categories.includes(ref.category)) {
+        error(file, `${where}.reveals[${i}] has unknown category "${ref.category}"`);
+      }
+    });
+  });
+}
+
+// arrays of objects with unique "id"s
+function validateIdList(file, field, list, check) {
+  if (list === undefined) return;
+  if (!Array.isArray(list)) {
+    error(file, `"${field}" must be an array`);
+    return;
+  }
+  const ids = new Set();
+  list.forEach((item, i) => {
+    const where = `${field}[${i}]`;
+    if (!item || typeof item !== 'object') {
+      error(file, `${where} must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(item.id))  error(file, `${where} is missing "id"`);
+    else if (ids.has(item.id))       error(file, `${where} duplicates id "${item.id}"`);
+    else                             ids.add(item.id);
+    check(item, where);
+  });
+}
+
+/* ----------------- GALAXY MAP ----------------- */
+
+const MAP_FIELDS = ['region', 'sector', 'grid', 'hyperlanes'];
+
+// galactic standard grid: columns A-W, rows 1-21
+const GRID_PATTERN = /^[A-W]-(\d{1,2})$/;
+
+function validateMapFields(file, category, entry) {
+  const present = MAP_FIELDS.filter(field => entry[field] !== undefined);
+  if (!present.length) return;
+  if (category !== 'planets') {
+    error(file, `"${present[0]}" is only supported for planets`);
+    return;
+  }
+
+  for (const field of ['region', 'sector']) {
+    if (entry[field] !== undefined && !isNonEmptyString(entry[field])) {
+      error(file, `"${field}" must be a non-empty string`);
+    }
+  }
+
+  if (entry.grid !== undefined) {
+    const match = typeof entry.grid === 'string' && entry.grid.match(GRID_PATTERN);
+    if (!match || Number(match[1]) < 1 || Number(match[1]) > 21) {
+      error(file, `"grid" must look like "R-16" (columns A-W, rows 1-21)`);
+    }
+  }
+
+  if (entry.hyperlanes !== undefined) {
+    if (!Array.isArray(entry.hyperlanes)) {
+      error(file, '"hyperlanes" must be an array');
+    } else {
+      entry.hyperlanes.forEach((lane, i) => {
+        if (!lane || !isNonEmptyString(lane.to)) error(file, `hyperlanes[${i}] is missing "to"`);
+        else if (lane.route !== undefined && !isNonEmptyString(lane.route)) {
+          error(file, `hyperlanes[${i}].route must be a non-empty string`);
+        }
+      });
+    }
+  }
+}
+
+/* ----------------- MANIFESTS ----------------- */
+
+function validateCategory(category, categories, loaded) {
+  const dir          = path.join(ENTRIES_DIR, category);
+  const manifestPath = path.join(dir, 'manifest.json');
+
+  const { data: files, err } = readJson(manifestPath);
+  if (err) {
+    error(manifestPath, `manifest does not parse: ${err}`);
+    return;
+  }
+  if (!Array.isArray(files)) {
+    error(manifestPath, 'manifest must be an array of filenames');
+    return;
+  }
+
+  const seen = new Set();
+  for (const file of files) {
+    if (typeof file !== 'string') {
+      error(manifestPath, `non-string manifest item: ${JSON.stringify(file)}`);
+      continue;
+    }
+    if (seen.has(file)) error(manifestPath, `duplicate manifest item "${file}"`);
+    seen.add(file);
+
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(filePath)) {
+      error(manifestPath, `listed file does not exist: ${file}`);
+      continue;
+    }
+
+    const { data, err: parseErr } = readJson(filePath);
+    if (parseErr) {
+      error(filePath, `does not parse: ${parseErr}`);
+      continue;
+    }
+
+    validateEntry(filePath, category, data, categories);
+    if (data && data.id) loaded.push({ file: filePath, category, entry: data });
+  }
+
+  // orphan files: JSON on disk but not listed in the manifest
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith('.json') || name === 'manifest.json') continue;
+    if (!seen.has(name)) {
+      error(path.join(dir, name), 'not listed in manifest.json');
+    }
+  }
+}
+
+/* ----------------- CROSS REFERENCES ----------------- */
+
+// [[category/id]], [[id]] and [[id|label]] links in descriptions and sections
+function inlineLinks(entry) {
+  const texts = [entry.description]
+    .concat(Array.isArray(entry.sections) ? entry.sections.map(sec => sec && sec.body) : [])
+    .filter(text => typeof text === 'string');
+  const links = [];
+  for (const text of texts) {
+    for (const match of text.matchAll(/\[\[([^\]|]+)(?:\|[^\]]+)?\]\]/g)) {
+      const [first, second] = match[1].trim().split('/');
+      links.push(second ? { id: second, category: first, inline: true } : { id: first, inline: true });
+    }
+  }
+  return links;
+}
+
+function validateReferences(loaded) {
+  const ids = new Map(); // category → Set(id)
+  for (const { file, category, entry } of loaded) {
+    if (!ids.has(category)) ids.set(category, new Set());
+    const set = ids.get(category);
+    if (set.has(entry.id)) error(file, `duplicate id "${entry.id}" in ${category}`);
+    set.add(entry.id);
+  }
+
+  for (const { file, entry } of loaded) {
+    // related entries plus codex links from mission briefings, hyperlanes and reveal groups
+    const lanes = Array.isArray(entry.hyperlanes)
+      ? entry.hyperlanes.map(lane => lane && { id: lane.to, category: 'planets' })
+      : [];
+    const reveals = Array.isArray(entry.revealGroups)
+      ? entry.revealGroups.flatMap(group => (group && Array.isArray(group.reveals) ? group.reveals : [])
+        .map(ref => ref && Object.assign({}, ref, { reveal: true })))
+      : [];
+    const refs = [entry.related, entry.locations, entry.npcs, lanes, reveals, inlineLinks(entry)]
+      .filter(Array.isArray)
+      .flat();
+    for (const ref of refs) {
+      if (!ref || !isNonEmptyString(ref.id)) continue;
+      const found = ref.category
+        ? (ids.get(ref.category) || new Set()).has(ref.id)
+        : [...ids.values()].some(set => set.has(ref.id));
+      if (!found) {
+        const where = ref.category ? `${ref.category}/${ref.id}` : ref.id;
+        const what = ref.inline ? 'inline link target' : ref.reveal ? 'reveal target' : 'related entry';
+        error(file, `${what} not found: ${where}`);
+      }
+    }
+  }
+}
+
+/* ----------------- REPORT ----------------- */
+
+function printReport() {
+  let errors = 0;
+  let warnings = 0;
+
+  for (const file of Object.keys(problems).sort()) {
+    console.log(file);
+    for (const p of problems[file]) {
+      if (p.level === 'error') errors++;
+      else warnings++;
+      console.log(`  ${p.level === 'error' ? 'ERROR' : 'warn '}  ${p.message}`);
+    }
+    console.log('');
+  }
+
+  console.log(`${errors} error(s), ${warnings} warning(s)`);
+  return errors > 0;
+}
+
+function main() {
+  const categories = listCategories();
+  const loaded = [];
+
+  for (const category of categories) {
+    validateCategory(category, categories, loaded);
+  }
+  validateReferences(loaded);
+
+  const failed = printReport();
+  process.exitCode = failed ? 1 : 0;
+}
+
+main();